@@ -0,0 +1,78 @@
+/**
+ * Parser and writer of comma-separated values (RFC 4180), used by Graph.fromCSV and Graph.toCSV.
+ * Fields with commas, quotes or line breaks are quoted, and quotes inside them are doubled.
+ */
+
+/**
+ * Parses a CSV text.
+ * @param {string} text - The CSV text.
+ * @returns {Object} Object {rows, error}, where rows is an array of {fields, line} (line where the row starts, from 1)
+ * without empty lines, and error is the syntax error found (null if the text is valid).
+ */
+const parseCSV = (text) => {
+  text = String(text);
+  const rows = [];
+  let fields = [];
+  let field = "";
+  let line = 1;
+  let rowLine = 1;
+  let quoted = false;
+  let i = 0;
+  const endField = () => {
+    fields.push(field);
+    field = "";
+  };
+  const endRow = () => {
+    endField();
+    if (fields.length > 1 || fields[0].trim() !== "")
+      rows.push({ fields, line: rowLine });
+    fields = [];
+  };
+
+  while (i < text.length) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === "\n") line++;
+        field += char;
+      }
+    } else if (char === '"' && field.trim() === "") {
+      quoted = true;
+      field = "";
+    } else if (char === ",") {
+      endField();
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+    i++;
+  }
+  if (quoted)
+    return { rows, error: `Unterminated quoted field (line ${rowLine})` };
+  endRow();
+  return { rows, error: null };
+};
+
+/**
+ * Writes a row of CSV, quoting the fields that need it.
+ * @param {Array} values - The values of the row.
+ * @returns {string} The CSV row (without line break).
+ */
+const toCSVRow = (values) =>
+  values
+    .map((value) => {
+      const field = value == null ? "" : String(value);
+      return /[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+    })
+    .join(",");
+
+module.exports = { parseCSV, toCSVRow };
@@ -3,4 +3,46 @@ module.exports = Object.freeze({LoggingLevels: {
   MIN: 1,
   STEPS: 2,
   ALL: 3,
-}});
\ No newline at end of file
+},
+DijkstraModes: {
+  FULL: "full",
+  EARLY_EXIT: "earlyExit",
+  BIDIRECTIONAL: "bidirectional",
+},
+SpanningTreeAlgorithms: {
+  PRIM: "prim",
+  KRUSKAL: "kruskal",
+},
+MatrixZeroValues: {
+  MISSING: "missing",
+  ERROR: "error",
+},
+StaleMatricesPolicies: {
+  RECOMPUTE: "recompute",
+  REJECT: "reject",
+},
+LogEvents: {
+  MESSAGE: "message",
+  TABLE: "table",
+  ERROR: "error",
+},
+ErrorCodes: {
+  GRAPH_ERROR: "GRAPH_ERROR",
+  VALIDATION_FAILED: "VALIDATION_FAILED",
+  INVALID_IMPORT: "INVALID_IMPORT",
+  PARSE_ERROR: "PARSE_ERROR",
+  INVALID_ARGUMENT: "INVALID_ARGUMENT",
+  INVALID_WEIGHT: "INVALID_WEIGHT",
+  INVALID_NODE_COST: "INVALID_NODE_COST",
+  NODE_NOT_FOUND: "NODE_NOT_FOUND",
+  NODE_EXISTS: "NODE_EXISTS",
+  NODE_WITHOUT_ROUTES: "NODE_WITHOUT_ROUTES",
+  ROUTE_NOT_FOUND: "ROUTE_NOT_FOUND",
+  ROUTE_EXISTS: "ROUTE_EXISTS",
+  NEGATIVE_WEIGHTS: "NEGATIVE_WEIGHTS",
+  NEGATIVE_CYCLE: "NEGATIVE_CYCLE",
+  CYCLIC_GRAPH: "CYCLIC_GRAPH",
+  DIRECTED_ROUTE: "DIRECTED_ROUTE",
+  MATRICES_NOT_COMPUTED: "MATRICES_NOT_COMPUTED",
+  MATRICES_OUTDATED: "MATRICES_OUTDATED",
+}});
@@ -0,0 +1,227 @@
+/**
+ * Parser of the Graphviz DOT language, used by Graph.fromDOT.
+ * Supports graph/digraph declarations, node and edge statements (including chains like A -> B -> C),
+ * attribute lists and default node/edge attributes. Subgraphs, ports and string concatenation aren't supported.
+ */
+
+const ID_START = /[A-Za-z_\u0080-\uffff]/;
+const ID_CHAR = /[\w\u0080-\uffff]/;
+const NUMERAL = /^-?(\.\d+|\d+(\.\d*)?)/;
+
+/**
+ * Splits a DOT text in tokens, skipping whitespace and comments.
+ * @param {string} text - The DOT text.
+ * @returns {Array} Array of tokens {type: "id"|"punct", value, quoted, line}.
+ * @throws {Error} If the text has an unterminated string or comment, or an unexpected character.
+ */
+const tokenize = (text) => {
+  const tokens = [];
+  let line = 1;
+  let i = 0;
+  while (i < text.length) {
+    const char = text[i];
+    if (char === "\n") {
+      line++;
+      i++;
+    } else if (/\s/.test(char)) {
+      i++;
+    } else if (
+      text.startsWith("//", i) ||
+      (char === "#" && isLineStart(text, i))
+    ) {
+      while (i < text.length && text[i] !== "\n") i++;
+    } else if (text.startsWith("/*", i)) {
+      const end = text.indexOf("*/", i + 2);
+      if (end === -1) throw new Error(`Unterminated comment (line ${line})`);
+      line += text.slice(i, end).split("\n").length - 1;
+      i = end + 2;
+    } else if (char === '"') {
+      const startLine = line;
+      let value = "";
+      i++;
+      while (i < text.length && text[i] !== '"') {
+        if (text[i] === "\\" && (text[i + 1] === '"' || text[i + 1] === "\\")) {
+          value += text[i + 1];
+          i += 2;
+        } else if (text[i] === "\\" && text[i + 1] === "\n") {
+          line++;
+          i += 2;
+        } else {
+          if (text[i] === "\n") line++;
+          value += text[i++];
+        }
+      }
+      if (i >= text.length)
+        throw new Error(`Unterminated string (line ${startLine})`);
+      i++;
+      tokens.push({ type: "id", value, quoted: true, line: startLine });
+    } else if (char === "<") {
+      const startLine = line;
+      let depth = 0;
+      const start = i;
+      do {
+        if (text[i] === "<") depth++;
+        else if (text[i] === ">") depth--;
+        else if (text[i] === "\n") line++;
+        i++;
+      } while (i < text.length && depth > 0);
+      if (depth > 0)
+        throw new Error(`Unterminated HTML string (line ${startLine})`);
+      tokens.push({
+        type: "id",
+        value: text.slice(start + 1, i - 1),
+        quoted: true,
+        line: startLine,
+      });
+    } else if (text.startsWith("->", i) || text.startsWith("--", i)) {
+      tokens.push({ type: "punct", value: text.substr(i, 2), line });
+      i += 2;
+    } else if ("{}[]=;,:+".includes(char)) {
+      tokens.push({ type: "punct", value: char, line });
+      i++;
+    } else if (ID_START.test(char)) {
+      const start = i;
+      while (i < text.length && ID_CHAR.test(text[i])) i++;
+      tokens.push({ type: "id", value: text.slice(start, i), line });
+    } else if (NUMERAL.test(text.slice(i, i + 64))) {
+      const value = text.slice(i, i + 64).match(NUMERAL)[0];
+      tokens.push({ type: "id", value, line });
+      i += value.length;
+    } else {
+      throw new Error(`Unexpected character ${char} (line ${line})`);
+    }
+  }
+  return tokens;
+};
+
+const isLineStart = (text, index) => {
+  let i = index - 1;
+  while (i >= 0 && text[i] !== "\n" && /\s/.test(text[i])) i--;
+  return i < 0 || text[i] === "\n";
+};
+
+/**
+ * Parses a DOT text.
+ * @param {string} text - The DOT text.
+ * @returns {Object} Object {name, directed, nodes, edges, error}, where nodes is a Map {name: attributes} in order of appearance,
+ * edges is an array of {from, to, attributes, line} and error is the syntax error found (null if the text is valid).
+ */
+const parseDOT = (text) => {
+  const result = { name: null, directed: true, nodes: new Map(), edges: [] };
+  let tokens;
+  let position = 0;
+  const defaults = { node: {}, edge: {} };
+
+  const peek = (offset = 0) => tokens[position + offset];
+  const isPunct = (value, offset = 0) =>
+    peek(offset) !== undefined &&
+    peek(offset).type === "punct" &&
+    peek(offset).value === value;
+  const isKeyword = (value, offset = 0) =>
+    peek(offset) !== undefined &&
+    peek(offset).type === "id" &&
+    !peek(offset).quoted &&
+    peek(offset).value.toLowerCase() === value;
+  const fail = (message) => {
+    const token = peek();
+    throw new Error(
+      token === undefined
+        ? `${message} (end of text)`
+        : `${message} (line ${token.line}, found ${token.value})`
+    );
+  };
+  const expectPunct = (value) => {
+    if (!isPunct(value)) fail(`Expected ${value}`);
+    position++;
+  };
+  const readId = () => {
+    if (peek() === undefined || peek().type !== "id") fail("Expected an ID");
+    const { value } = tokens[position++];
+    if (isPunct("+")) fail("String concatenation isn't supported");
+    return value;
+  };
+  const readAttributes = () => {
+    const attributes = {};
+    while (isPunct("[")) {
+      position++;
+      while (!isPunct("]")) {
+        const key = readId();
+        expectPunct("=");
+        attributes[key] = readId();
+        if (isPunct(",") || isPunct(";")) position++;
+      }
+      position++;
+    }
+    return attributes;
+  };
+  const declareNode = (name, attributes = {}) => {
+    if (!result.nodes.has(name))
+      result.nodes.set(name, Object.assign({}, defaults.node));
+    Object.assign(result.nodes.get(name), attributes);
+  };
+
+  try {
+    tokens = tokenize(String(text));
+    if (isKeyword("strict")) position++;
+    if (isKeyword("graph")) result.directed = false;
+    else if (!isKeyword("digraph")) fail("Expected graph or digraph");
+    position++;
+    if (!isPunct("{")) result.name = readId();
+    expectPunct("{");
+    while (!isPunct("}")) {
+      if (peek() === undefined) fail("Expected }");
+      if (isPunct("{") || isKeyword("subgraph")) {
+        fail("Subgraphs aren't supported");
+      } else if (
+        (isKeyword("graph") || isKeyword("node") || isKeyword("edge")) &&
+        isPunct("[", 1)
+      ) {
+        const target = tokens[position++].value.toLowerCase();
+        const attributes = readAttributes();
+        if (target !== "graph") Object.assign(defaults[target], attributes);
+      } else if (isPunct("=", 1)) {
+        readId();
+        position++;
+        readId();
+      } else {
+        const line = peek().line;
+        const chain = [readId()];
+        if (isPunct(":")) fail("Ports aren't supported");
+        while (isPunct("->") || isPunct("--")) {
+          if (isPunct("->") !== result.directed)
+            fail(
+              `Invalid edge operator in a ${
+                result.directed ? "digraph" : "graph"
+              }`
+            );
+          position++;
+          chain.push(readId());
+          if (isPunct(":")) fail("Ports aren't supported");
+        }
+        const attributes = readAttributes();
+        if (chain.length === 1) {
+          declareNode(chain[0], attributes);
+        } else {
+          chain.forEach((node) => declareNode(node));
+          for (let i = 1; i < chain.length; i++) {
+            result.edges.push({
+              from: chain[i - 1],
+              to: chain[i],
+              attributes: Object.assign({}, defaults.edge, attributes),
+              line,
+            });
+          }
+        }
+      }
+      if (isPunct(";") || isPunct(",")) position++;
+    }
+    position++;
+    if (peek() !== undefined) fail("Unexpected content after the graph");
+    result.error = null;
+  } catch (error) {
+    result.error = error.message;
+  }
+  return result;
+};
+
+module.exports = { parseDOT };
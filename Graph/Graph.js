@@ -5,7 +5,96 @@
  */
 
 
-const { TableLog } = require("./TableLog")
+const { TableLog } = require("./TableLog");
+const {
+  DijkstraModes,
+  SpanningTreeAlgorithms,
+  MatrixZeroValues,
+  StaleMatricesPolicies,
+  LogEvents,
+} = require("./Constants");
+const PriorityQueue = require("./PriorityQueue");
+const { ShortestPathTree } = require("./ShortestPathTree");
+const Heuristics = require("./Heuristics");
+const Loggers = require("./Loggers");
+const { TimeProfile, toMinutes } = require("./TimeProfile");
+const {
+  GraphError,
+  ValidationError,
+  ImportError,
+  ParseError,
+  InvalidArgumentError,
+  InvalidWeightError,
+  InvalidNodeCostError,
+  NodeNotFoundError,
+  NodeExistsError,
+  NodeWithoutRoutesError,
+  RouteNotFoundError,
+  RouteExistsError,
+  NegativeWeightsError,
+  NegativeCycleError,
+  CyclicGraphError,
+  DirectedRouteError,
+  MatricesNotComputedError,
+  OutdatedMatricesError,
+} = require("./GraphError");
+const { parseDOT } = require("./DOTParser");
+const { parseCSV, toCSVRow } = require("./CSVParser");
+const { parseGraphML, encodeXML } = require("./GraphMLParser");
+
+/** Max number of nodes whose visiting order is optimized exactly (Held-Karp Algorithm). */
+const MAX_EXACT_ORDER_NODES = 12;
+
+/** Name and version of the schema of serialized graphs ( @see Graph.toJSON ). */
+const JSON_SCHEMA = "dijkstra-floydwarshall-graph";
+const JSON_SCHEMA_VERSION = 1;
+
+/**
+ * Encodes a number for JSON, where Infinity isn't valid.
+ * @param {Number} value - The number to encode.
+ * @returns {(Number|string)} The number, or "Infinity"/"-Infinity".
+ */
+const encodeNumber = (value) =>
+  value === Infinity || value === -Infinity ? String(value) : value;
+
+/**
+ * Escapes the backslashes and quotes of a text, to write it inside a quoted string of the DOT language.
+ * @param {string} text - The text (e.g. the name of a node).
+ * @returns {string} The escaped text.
+ */
+const escapeDOT = (text) =>
+  String(text).replace(/\\/g, "\\\\").replace(/"/g, '\\"');
+
+/**
+ * Quotes an ID of the DOT language.
+ * @param {string} id - The ID (e.g. the name of a node).
+ * @returns {string} The quoted ID.
+ */
+const quoteDOT = (id) => `"${escapeDOT(id)}"`;
+
+/**
+ * Parses a boolean field of a CSV file.
+ * @param {string} value - The field ("true"/"false", "yes"/"no", "1"/"0" or empty, case-insensitive).
+ * @returns {boolean} The value of the field (false if empty), or null if it isn't a boolean.
+ */
+const parseBooleanField = (value) => {
+  const field = String(value).trim().toLowerCase();
+  if (["true", "yes", "1"].includes(field)) return true;
+  if (["false", "no", "0", ""].includes(field)) return false;
+  return null;
+};
+
+/**
+ * Decodes a number encoded with encodeNumber.
+ * @param {(Number|string)} value - The encoded number.
+ * @returns {Number} The number (NaN if the value isn't a number).
+ */
+const decodeNumber = (value) =>
+  value === "Infinity" || value === "-Infinity"
+    ? Number(value)
+    : typeof value === "number"
+    ? value
+    : NaN;
 
 /** Class representing a Weighted directed or undirected Graph */
 module.exports = class Graph {
@@ -13,7 +102,11 @@ module.exports = class Graph {
   #tableLog = null;
   #distanceMatrix = null;
   #precedenceMatrix = null;
+  #rawDistances = null;
   #protectedNodesCost = {};
+  #reverseGraph = null;
+  #version = 0;
+  #matricesVersion = null;
 
   /**
    * Get the logging levels.
@@ -77,6 +170,7 @@ module.exports = class Graph {
    */
   set graph(graph) {
     this._graph = graph;
+    this.#invalidateCaches();
   }
 
   /**
@@ -111,6 +205,38 @@ module.exports = class Graph {
     this._autoCreateNodes = autoCreateNodes;
   }
 
+  /**
+   * Get optional parameter allowNegativeWeights. If true, routes can be created with negative weights.
+   * @return {boolean} If negative weights are allowed.
+   */
+  get allowNegativeWeights() {
+    return this._allowNegativeWeights;
+  }
+
+  /**
+   * Set optional parameter allowNegativeWeights. If true, routes can be created with negative weights.
+   * @param {boolean} allowNegativeWeights - If negative weights are allowed.
+   */
+  set allowNegativeWeights(allowNegativeWeights) {
+    this._allowNegativeWeights = allowNegativeWeights;
+  }
+
+  /**
+   * Get optional parameter defaultMetric, the name of the metric stored as the weight of the routes.
+   * @return {string} The name of the default metric.
+   */
+  get defaultMetric() {
+    return this._defaultMetric;
+  }
+
+  /**
+   * Set optional parameter defaultMetric, the name of the metric stored as the weight of the routes.
+   * @param {string} defaultMetric - The name of the default metric.
+   */
+  set defaultMetric(defaultMetric) {
+    this._defaultMetric = defaultMetric;
+  }
+
   /**
    * Get table log with iterations of algorithm ( @see TableLog ).
    * @return {Object} table log.
@@ -135,6 +261,30 @@ module.exports = class Graph {
     return this.#distanceMatrix;
   }
 
+  /**
+   * Get the mutation version of the graph, increased every time its nodes, routes or costs change.
+   * @return {Number} The mutation version.
+   */
+  get version() {
+    return this.#version;
+  }
+
+  /**
+   * Get optional parameter staleMatrices, what to do when the Floyd Warshall matrices are outdated ( @see Constants.StaleMatricesPolicies ).
+   * @return {string} The policy for outdated matrices.
+   */
+  get staleMatrices() {
+    return this._staleMatrices;
+  }
+
+  /**
+   * Set optional parameter staleMatrices, what to do when the Floyd Warshall matrices are outdated ( @see Constants.StaleMatricesPolicies ).
+   * @param {string} staleMatrices - The policy for outdated matrices.
+   */
+  set staleMatrices(staleMatrices) {
+    this._staleMatrices = staleMatrices;
+  }
+
   /**
    * Get optional parameter constantNodesCost.
    * @return {Object} optional parameter constantNodesCost.
@@ -158,8 +308,52 @@ module.exports = class Graph {
       }
     }
     this._constantNodesCost = constantNodesCost;
+    this.#invalidateCaches();
   }
 
+  /**
+   * Discards the structures derived from the routes of the graph and increases its mutation version, after the graph is modified.
+   * If the matrices of the Floyd Warshall Algorithm were up to date and the change is known, they are updated incrementally,
+   * otherwise they are kept, but become outdated ( @see staleMatrices ).
+   * @param {Object} [change] - The change made to the graph ( @see #updateMatrices ).
+   */
+  #invalidateCaches = (change = null) => {
+    const upToDate =
+      this.#distanceMatrix != null && this.#matricesVersion === this.#version;
+    this.#reverseGraph = null;
+    this.#version++;
+    if (upToDate && change !== null && this.#updateMatrices(change))
+      this.#matricesVersion = this.#version;
+  };
+
+  /**
+   * Returns the nodes that don't exist in the graph, to be reported in errors.
+   * @param {...string} nodes - The nodes.
+   * @returns {Array} The nodes (not null) that don't exist in the graph.
+   */
+  #missingNodes = (...nodes) =>
+    nodes.filter((node) => node != null && !this.graph.hasOwnProperty(node));
+
+  /**
+   * Returns the reverse adjacency of the graph {{Node}: [{PreviousNode}]}, built when needed.
+   * @returns {Object} The nodes that have a route to each node.
+   */
+  #getReverseGraph = () => {
+    if (this.#reverseGraph === null) {
+      const reverseGraph = {};
+      for (const node in this.graph) {
+        reverseGraph[node] = [];
+      }
+      for (const node in this.graph) {
+        for (const adjNode in this.graph[node]) {
+          reverseGraph[adjNode].push(node);
+        }
+      }
+      this.#reverseGraph = reverseGraph;
+    }
+    return this.#reverseGraph;
+  };
+
   /**
    * Print the graph object representation {{Node}: {AdjacentNode}:{weight}} as a table (adjacency matrix)
    */
@@ -193,7 +387,9 @@ module.exports = class Graph {
         } catch (error) {
           this.logProcess(
             this.loggingLevels.MIN,
-            `Unable to format cost: ${error}`,
+            new InvalidArgumentError(`Unable to format cost: ${error}`, {
+              details: { cost },
+            }),
             true
           );
           return cost;
@@ -210,6 +406,12 @@ module.exports = class Graph {
    * @param {boolean} [autoCreateNodes = false] - If true, nodes will be created when creating routes for them in case they don't exist.
    * @param {Number} [constantNodesCost = 0] - Constant "toll" cost of the nodes, must be greater than zero.
    * @param {Object} [costFormat] - Object to format of the cost/weight of a path.
+   * @param {boolean} [allowNegativeWeights = false] - If true, routes can have negative weights (see findPathBellmanFord).
+   * @param {string} [defaultMetric = "weight"] - Name of the metric used as the weight of routes created with several metrics.
+   * @param {string} [staleMatrices = "recompute"] - If the graph changes after findMatricesFloydWarshall, the algorithms that use the matrices
+   * recompute them ("recompute") or fail ("reject") ( @see Constants.StaleMatricesPolicies ).
+   * @param {Function} [logger] - Function (record) => void that receives the logs as structured records ( @see Loggers ).
+   * By default, the logs are printed in console.
    */
   constructor({
     name = null,
@@ -218,6 +420,10 @@ module.exports = class Graph {
     autoCreateNodes = false,
     constantNodesCost = 0,
     costFormat = null,
+    allowNegativeWeights = false,
+    defaultMetric = "weight",
+    staleMatrices = StaleMatricesPolicies.RECOMPUTE,
+    logger = Loggers.console(),
   } = {}) {
     const now = new Date();
     const date =
@@ -231,8 +437,18 @@ module.exports = class Graph {
     }
     this.graph = {};
     this.costsNodes = {};
+    this.coordinatesNodes = {};
+    this.metricsRoutes = {};
+    this.profilesRoutes = {};
+    this.capacitiesRoutes = {};
     this.costFormat = costFormat;
     this.loggingLevels = require("./Constants").LoggingLevels;
+    this.logger = typeof logger === "function" ? logger : Loggers.console();
+    if (typeof logger !== "function")
+      this.logProcess(
+        this.loggingLevels.MIN,
+        `Ignored constructor parameter logger, expected function, received ${typeof logger}`
+      );
     if (typeof ignoreErrors === "boolean") this.ignoreErrors = ignoreErrors;
     else
       this.logProcess(
@@ -245,6 +461,35 @@ module.exports = class Graph {
       this.loggingLevels.MIN,
       `Ignored constructor parameter autoCreateNodes, expected boolean, received ${typeof autoCreateNodes}`
     );
+    if (typeof defaultMetric === "string" && defaultMetric !== "")
+      this.defaultMetric = defaultMetric;
+    else {
+      this.defaultMetric = "weight";
+      this.logProcess(
+        this.loggingLevels.MIN,
+        `Ignored constructor parameter defaultMetric, expected non-empty string, received ${typeof defaultMetric}`
+      );
+    }
+    if (typeof allowNegativeWeights === "boolean")
+      this.allowNegativeWeights = allowNegativeWeights;
+    else {
+      this.allowNegativeWeights = false;
+      this.logProcess(
+        this.loggingLevels.MIN,
+        `Ignored constructor parameter allowNegativeWeights, expected boolean, received ${typeof allowNegativeWeights}`
+      );
+    }
+    if (Object.values(StaleMatricesPolicies).includes(staleMatrices))
+      this.staleMatrices = staleMatrices;
+    else {
+      this.staleMatrices = StaleMatricesPolicies.RECOMPUTE;
+      this.logProcess(
+        this.loggingLevels.MIN,
+        `Ignored constructor parameter staleMatrices, expected one of ${Object.values(
+          StaleMatricesPolicies
+        ).join(", ")}, received ${staleMatrices}`
+      );
+    }
     if (typeof constantNodesCost === "number" && constantNodesCost >= 0) {
       this.constantNodesCost = constantNodesCost;
     } else {
@@ -276,56 +521,45 @@ module.exports = class Graph {
   }
 
   /**
-   * Print a log in console based on the logging level.
+   * Sends a log to the logger ( @see Loggers ) based on the logging level.
    * @param {Number} level - The level of the log, compared to this.loggingLevels.
-   * @param {Object} message - The message of the log (String or Object).
+   * @param {Object} message - The message of the log (String, Object or GraphError, whose message is logged).
+   * Objects (e.g. matrices or TableLogs) are sent to the logger as the payload of the record.
    * @param {boolean} [isError = false] - If true and ignoreErrors is false, an error will be thrown.
-   * @param {string} [changeDate = null] - String to change logging format.
-   * @throws {Error} If isError is true and ignoreErrors is false, an error will be thrown.
+   * @param {string} [changeDate = null] - Label of the log (e.g. the iteration), shown instead of the date by the console logger.
+   * @throws {GraphError} If isError is true and ignoreErrors is false, the message will be thrown (as a GraphError if it's a String).
    */
   logProcess = (level, message, isError = false, changeDate = null) => {
+    let error = null;
+    if (message instanceof GraphError) {
+      error = message;
+      message = error.message;
+    } else if (isError) error = new GraphError(message);
     if (level > this.loggingLevels.NONE && level <= this.loggingLevel) {
-      const now = new Date();
-      const date =
-        now.getFullYear() + "-" + (now.getMonth() + 1) + "-" + now.getDate();
-      const time =
-        String(now.getHours()).padStart(2, "0") +
-        ":" +
-        String(now.getMinutes()).padStart(2, "0") +
-        ":" +
-        String(now.getSeconds()).padStart(2, "0");
-
-      if (typeof message === "object" && message != null) {
-        console.log(
-          `-----------------[START: ${
-            (this.name != null ? this.name + " - " : "") +
-            (changeDate != null ? changeDate : date + " " + time)
-          }] ---------------------`
-        );
-        console.table(message);
-        console.log(
-          `-----------------[END: ${
-            (this.name != null ? this.name + " - " : "") +
-            (changeDate != null ? changeDate : date + " " + time)
-          }] ---------------------`
-        );
-      } else
-        console.log(
-          `[${
-            (this.name != null ? this.name + " - " : "") +
-            (changeDate != null ? changeDate : date + " " + time)
-          }]: ${message}`
-        );
+      const isTable = typeof message === "object" && message != null;
+      this.logger({
+        level,
+        graph: this.name,
+        event: isError
+          ? LogEvents.ERROR
+          : isTable
+          ? LogEvents.TABLE
+          : LogEvents.MESSAGE,
+        message: isTable ? null : message,
+        payload: isTable ? message : error,
+        label: changeDate,
+        timestamp: new Date(),
+      });
     }
     if (isError && !this.ignoreErrors) {
-      throw new Error(message);
+      throw error;
     }
   };
 
   /**
    * Adds a node to the graph.
-   * @param {Object} node - The name of the node (String) or object {name, cost, protectNodeCost}
-   * @throws {Error} If isError is true and ignoreErrors is false, an error will be thrown if node already exists.
+   * @param {Object} node - The name of the node (String) or object {name, cost, protectNodeCost, x, y, lat, lon}
+   * @throws {GraphError} If isError is true and ignoreErrors is false, an error will be thrown if node already exists or its coordinates are invalid.
    */
   addNode = (node, ...args) => {
     if (
@@ -334,19 +568,26 @@ module.exports = class Graph {
     ) {
       this.logProcess(
         this.loggingLevels.MIN,
-        `Node name is required (node.name)`,
+        new InvalidArgumentError(`Node name is required (node.name)`),
         true
       );
       return this;
     } else if (node == "") {
-      this.logProcess(this.loggingLevels.MIN, `Node name is required`, true);
+      this.logProcess(
+        this.loggingLevels.MIN,
+        new InvalidArgumentError(`Node name is required`),
+        true
+      );
       return this;
     } else if (this.graph.hasOwnProperty(String(node))) {
       this.logProcess(
         this.loggingLevels.MIN,
-        `Node already exists ${node}: ${JSON.stringify(
-          this.graph[String(node)]
-        )}`,
+        new NodeExistsError(
+          `Node already exists ${node}: ${JSON.stringify(
+            this.graph[String(node)]
+          )}`,
+          { nodes: [node] }
+        ),
         true
       );
       return this;
@@ -356,9 +597,12 @@ module.exports = class Graph {
     ) {
       this.logProcess(
         this.loggingLevels.MIN,
-        `Node already exists ${node.name}: ${JSON.stringify(
-          this.graph[String(node.name)]
-        )}`,
+        new NodeExistsError(
+          `Node already exists ${node.name}: ${JSON.stringify(
+            this.graph[String(node.name)]
+          )}`,
+          { nodes: [node.name] }
+        ),
         true
       );
       return this;
@@ -366,7 +610,43 @@ module.exports = class Graph {
     if (node.cost != null && (isNaN(node.cost) || Number(node.cost) < 0)) {
       this.logProcess(
         this.loggingLevels.MIN,
-        `Constant node cost must be a positive number`,
+        new InvalidNodeCostError(
+          `Constant node cost must be a positive number`,
+          { nodes: [node.name], details: { cost: node.cost } }
+        ),
+        true
+      );
+      return this;
+    }
+    if (
+      (node.x != null || node.y != null) &&
+      !(Number.isFinite(node.x) && Number.isFinite(node.y))
+    ) {
+      this.logProcess(
+        this.loggingLevels.MIN,
+        new InvalidArgumentError(
+          `Node coordinates x and y must be both finite numbers`,
+          { nodes: [node.name] }
+        ),
+        true
+      );
+      return this;
+    }
+    if (
+      (node.lat != null || node.lon != null) &&
+      !(
+        Number.isFinite(node.lat) &&
+        Number.isFinite(node.lon) &&
+        Math.abs(node.lat) <= 90 &&
+        Math.abs(node.lon) <= 180
+      )
+    ) {
+      this.logProcess(
+        this.loggingLevels.MIN,
+        new InvalidArgumentError(
+          `Node coordinates lat and lon must be both numbers between [-90, 90] and [-180, 180]`,
+          { nodes: [node.name] }
+        ),
         true
       );
       return this;
@@ -386,7 +666,15 @@ module.exports = class Graph {
     );
     this.graph[String(node.name)] = {};
     this.costsNodes[String(node.name)] = node.cost;
+    this.#invalidateCaches({ type: "addNode", node: String(node.name) });
     this.#protectedNodesCost[String(node.name)] = node.protectNodeCost || false;
+    if (node.x != null || node.lat != null) {
+      const coordinates = {};
+      if (node.x != null) Object.assign(coordinates, { x: node.x, y: node.y });
+      if (node.lat != null)
+        Object.assign(coordinates, { lat: node.lat, lon: node.lon });
+      this.coordinatesNodes[String(node.name)] = coordinates;
+    }
 
     if (args.length > 0) {
       args.forEach((nodeInArgs) => {
@@ -401,14 +689,14 @@ module.exports = class Graph {
    * @param {string} nodeName - The name of the existing node.
    * @param {string} newNodeName - The new name name of the existing node.
    * @param {number} newCost - The cost (positive number) of passing through that node.
-   * @throws {Error} If isError is true and ignoreErrors is false, an error will be thrown if node doesn't exist.
+   * @throws {GraphError} If isError is true and ignoreErrors is false, an error will be thrown if node doesn't exist.
    */
   editNode = (nodeName, newNodeName = null, newConstantCost = null) => {
     nodeName = String(nodeName);
     if (nodeName === "") {
       this.logProcess(
         this.loggingLevels.MIN,
-        `Node name is a required string`,
+        new InvalidArgumentError(`Node name is a required string`),
         true
       );
       return this;
@@ -418,28 +706,37 @@ module.exports = class Graph {
     ) {
       this.logProcess(
         this.loggingLevels.MIN,
-        `New node name must a non-empty string`,
+        new InvalidArgumentError(`New node name must a non-empty string`, {
+          nodes: [nodeName],
+        }),
         true
       );
       return this;
     } else if (!this.graph.hasOwnProperty(nodeName)) {
       this.logProcess(
         this.loggingLevels.MIN,
-        `Node doesn't exists: ${nodeName}`,
+        new NodeNotFoundError(`Node doesn't exists: ${nodeName}`, {
+          nodes: [nodeName],
+        }),
         true
       );
       return this;
     } else if (this.graph.hasOwnProperty(newNodeName)) {
       this.logProcess(
         this.loggingLevels.MIN,
-        `Node already exists: ${newNodeName}`,
+        new NodeExistsError(`Node already exists: ${newNodeName}`, {
+          nodes: [newNodeName],
+        }),
         true
       );
       return this;
     } else if (isNaN(newConstantCost) || Number(newConstantCost) < 0) {
       this.logProcess(
         this.loggingLevels.MIN,
-        `Constant node cost must a positive number`,
+        new InvalidNodeCostError(`Constant node cost must a positive number`, {
+          nodes: [nodeName],
+          details: { cost: newConstantCost },
+        }),
         true
       );
       return this;
@@ -463,12 +760,26 @@ module.exports = class Graph {
           }
         }
         this.graph[newNodeName] = copyNode;
+        this.#invalidateCaches();
         delete this.costsNodes[nodeName];
         this.costsNodes[newNodeName] = copyCost;
+        if (this.coordinatesNodes.hasOwnProperty(nodeName)) {
+          this.coordinatesNodes[newNodeName] = this.coordinatesNodes[nodeName];
+          delete this.coordinatesNodes[nodeName];
+        }
+        this.#routeStores().forEach((routes) =>
+          this.#renameNodeInRoutes(routes, nodeName, newNodeName)
+        );
       } else newNodeName = nodeName;
       if (newConstantCost != null) {
         deletedCost = true;
+        const previousCost = this.costsNodes[newNodeName];
         this.costsNodes[newNodeName] = newConstantCost;
+        this.#invalidateCaches({
+          type: "nodeCost",
+          node: newNodeName,
+          previousCost,
+        });
       }
       this.logProcess(
         this.loggingLevels.ALL,
@@ -487,14 +798,16 @@ module.exports = class Graph {
   /**
    * Deletes a node from the graph.
    * @param {string} node - The name of the node.
-   * @throws {Error} If isError is true and ignoreErrors is false, an error will be thrown if node doesn't exists.
+   * @throws {GraphError} If isError is true and ignoreErrors is false, an error will be thrown if node doesn't exists.
    */
   deleteNode = (node, ...args) => {
     node = String(node);
     if (!this.graph.hasOwnProperty(node)) {
       this.logProcess(
         this.loggingLevels.MIN,
-        `Node doesn't exists (${node})}`,
+        new NodeNotFoundError(`Node doesn't exists (${node})}`, {
+          nodes: [node],
+        }),
         true
       );
       return this;
@@ -502,13 +815,19 @@ module.exports = class Graph {
     this.logProcess(this.loggingLevels.ALL, `Deleted node ${node}`);
     delete this.graph[String(node)];
     delete this.costsNodes[String(node)];
+    delete this.coordinatesNodes[String(node)];
+    this.#routeStores().forEach((routes) => delete routes[String(node)]);
     for (const n in this.graph) {
       if (this.graph.hasOwnProperty(n)) {
         if (this.graph[n][node] != null) {
           delete this.graph[n][node];
+          this.#routeStores().forEach((routes) =>
+            this.#deleteFromRoutes(routes, n, node)
+          );
         }
       }
     }
+    this.#invalidateCaches({ type: "deleteNode", node });
     if (args.length > 0) {
       args.forEach((nodeInArgs) => {
         return this.deleteNode(nodeInArgs);
@@ -520,19 +839,23 @@ module.exports = class Graph {
   /**
    * Avoids a node from the graph.
    * @param {string} node - The name of the node.
-   * @throws {Error} If isError is true and ignoreErrors is false, an error will be thrown if node doesn't exists.
+   * @throws {GraphError} If isError is true and ignoreErrors is false, an error will be thrown if node doesn't exists.
    */
   avoidNode = (node, ...args) => {
     if (!this.graph.hasOwnProperty(node)) {
       this.logProcess(
         this.loggingLevels.MIN,
-        `Node doesn't exists (${node})}`,
+        new NodeNotFoundError(`Node doesn't exists (${node})}`, {
+          nodes: [node],
+        }),
         true
       );
       return this;
     }
     this.logProcess(this.loggingLevels.ALL, `Avoiding node ${node}`);
+    const previousCost = this.costsNodes[node];
     this.costsNodes[node] = Infinity;
+    this.#invalidateCaches({ type: "nodeCost", node, previousCost });
     return this;
   };
 
@@ -540,14 +863,19 @@ module.exports = class Graph {
    * Adds a route/path between two nodes.
    * @param {string} startNode - The starting node of the path. If bidirectional, is a node of the path.
    * @param {string} endNode - The ending node of the path. If bidirectional, is the other node of the path.
-   * @param {Number} weight - The weight of the path.
+   * @param {(Number|Object|TimeProfile|Function)} weight - The weight of the path, or object {metric: value} with several metrics (e.g. { km: 12, minutes: 18 }),
+   * which must include this.defaultMetric (used as the weight of the path). For time-dependent routes, a travel time profile ( @see TimeProfile )
+   * or a function (departureTime) => weight, used by findPathDijkstra with departAt. The static weight of those routes is their weight at time 0.
    * @param {boolean} [bidirectional = false] - If true, a bidirectional path will be created.
    * @param {boolean} [changeCreated = false] - If true, an already existing route will be changed (its weight).
-   * @throws {Error} If isError is true and ignoreErrors is false, an error will be thrown in the following cases:
+   * A plain number weight removes the other metrics of the changed route, a travel time profile keeps them.
+   * @throws {GraphError} If isError is true and ignoreErrors is false, an error will be thrown in the following cases:
    *   * If the starting node or the ending node is null.
    *   * If the starting node or the ending node doesn't exist in graph and this.autoCreateNodes is false.
    *   * If the starting node and the ending node are the same.
-   *   * If the weight isn't a positive number.
+   *   * If the weight isn't a positive number (or a non-zero number if this.allowNegativeWeights is true).
+   *   * If any metric of the route isn't a positive number (or a non-zero number if this.allowNegativeWeights is true).
+   *   * If the travel time profile is invalid ( @see TimeProfile.validate ), or the weight function throws an error or doesn't return a positive number at time 0.
    *   * If the route already exists and changeCreated is false.
    */
   addRoute = (
@@ -557,27 +885,100 @@ module.exports = class Graph {
     bidirectional = false,
     changeCreated = false
   ) => {
+    let metrics = null;
+    let profile = null;
+    let invalidProfile = null;
+    if (typeof weight === "function" || weight instanceof TimeProfile) {
+      profile = weight;
+      if (profile instanceof TimeProfile) invalidProfile = profile.validate();
+      if (invalidProfile === null) {
+        try {
+          weight = profile instanceof TimeProfile ? profile.at(0) : profile(0);
+        } catch (error) {
+          invalidProfile = `Travel time profile of the route threw an error at time 0 (${error.message})`;
+        }
+      }
+    } else if (typeof weight === "object" && weight !== null) {
+      metrics = Object.assign({}, weight);
+      weight = metrics[this.defaultMetric];
+      delete metrics[this.defaultMetric];
+    }
+    const isInvalidWeight = (value) =>
+      isNaN(value) ||
+      Number(value) == 0 ||
+      (Number(value) < 0 && !this.allowNegativeWeights);
+    const invalidWeight =
+      profile !== null
+        ? invalidProfile !== null || !(Number(weight) > 0)
+        : isInvalidWeight(weight);
+    const invalidMetrics =
+      metrics === null
+        ? []
+        : Object.keys(metrics).filter((metric) =>
+            isInvalidWeight(metrics[metric])
+          );
     if (
       startNode == null ||
       endNode == null ||
-      isNaN(weight) ||
-      Number(weight) <= 0
+      invalidWeight ||
+      invalidMetrics.length > 0
     ) {
-      let errorMessage = "";
-      let countErrors = 0;
+      const errors = [];
+      const nodes = [startNode, endNode].filter((node) => node != null);
       if (!startNode) {
-        countErrors++;
-        errorMessage += `Error [${countErrors}]: Starting node can't be null or undefined.\n`;
+        errors.push(
+          new InvalidArgumentError("Starting node can't be null or undefined.")
+        );
       }
       if (!endNode) {
-        countErrors++;
-        errorMessage += `Error [${countErrors}]: Ending node can't be null or undefined.\n`;
+        errors.push(
+          new InvalidArgumentError("Ending node can't be null or undefined.")
+        );
       }
-      if (isNaN(weight) || Number(weight) <= 0) {
-        countErrors++;
-        errorMessage += `Error [${countErrors}]: Weight in route must be a positive number.\n`;
+      if (invalidWeight && profile !== null) {
+        errors.push(
+          new InvalidWeightError(
+            `${
+              invalidProfile !== null
+                ? invalidProfile
+                : "Travel time profile of the route must return a positive number"
+            }.`,
+            { nodes }
+          )
+        );
+      } else if (invalidWeight) {
+        errors.push(
+          new InvalidWeightError(
+            this.allowNegativeWeights
+              ? "Weight in route must be a non-zero number."
+              : "Weight in route must be a positive number.",
+            { nodes, details: { weight } }
+          )
+        );
+        if (metrics !== null && weight === undefined) {
+          errors.push(
+            new InvalidWeightError(
+              `Route metrics must include the default metric (${this.defaultMetric}).`,
+              { nodes, details: { metric: this.defaultMetric } }
+            )
+          );
+        }
       }
-      this.logProcess(this.loggingLevels.MIN, errorMessage, true);
+      invalidMetrics.forEach((metric) => {
+        errors.push(
+          new InvalidWeightError(
+            `Metric ${metric} in route must be a ${
+              this.allowNegativeWeights ? "non-zero" : "positive"
+            } number.`,
+            { nodes, details: { metric, weight: metrics[metric] } }
+          )
+        );
+      });
+      this.logProcess(
+        this.loggingLevels.MIN,
+        new ValidationError(errors),
+        true
+      );
       return this;
     }
 
@@ -587,7 +988,10 @@ module.exports = class Graph {
       } else {
         this.logProcess(
           this.loggingLevels.MIN,
-          `Starting node ${startNode} doesn't exist in graph. Use autoCreateNodes variable to create them automatically`,
+          new NodeNotFoundError(
+            `Starting node ${startNode} doesn't exist in graph. Use autoCreateNodes variable to create them automatically`,
+            { nodes: [startNode] }
+          ),
           true
         );
         return this;
@@ -600,7 +1004,10 @@ module.exports = class Graph {
       } else {
         this.logProcess(
           this.loggingLevels.MIN,
-          `Ending node ${endNode} doesn't exist in graph. Use autoCreateNodes variable to create them automatically`,
+          new NodeNotFoundError(
+            `Ending node ${endNode} doesn't exist in graph. Use autoCreateNodes variable to create them automatically`,
+            { nodes: [endNode] }
+          ),
           true
         );
         return this;
@@ -610,7 +1017,10 @@ module.exports = class Graph {
     if (startNode == endNode) {
       this.logProcess(
         this.loggingLevels.MIN,
-        `Can't create a route to itself (${startNode} - ${endNode})`,
+        new InvalidArgumentError(
+          `Can't create a route to itself (${startNode} - ${endNode})`,
+          { nodes: [startNode, endNode] }
+        ),
         true
       );
       return this;
@@ -620,7 +1030,13 @@ module.exports = class Graph {
       if (!changeCreated) {
         this.logProcess(
           this.loggingLevels.MIN,
-          `Route already exists [${startNode} - ${endNode}] with weight ${weight}`,
+          new RouteExistsError(
+            `Route already exists [${startNode} - ${endNode}] with weight ${weight}`,
+            {
+              nodes: [startNode, endNode],
+              details: { weight: this.graph[startNode][endNode] },
+            }
+          ),
           true
         );
         return this;
@@ -632,14 +1048,34 @@ module.exports = class Graph {
         }, changing weight to ${Number(weight)}`
       );
     }
+    let previousCost = this.#routeCostFloydWarshall(startNode, endNode);
     this.graph[startNode][endNode] = Number(weight);
+    if (profile === null)
+      this.#setRouteMetrics(startNode, endNode, metrics ?? {});
+    this.#setRouteProfile(startNode, endNode, profile);
+    this.#invalidateCaches({
+      type: "route",
+      from: startNode,
+      to: endNode,
+      previousCost,
+    });
     this.logProcess(
       this.loggingLevels.ALL,
       `Created route ${startNode} - ${endNode} with weight: ${this.graph[startNode][endNode]}`
     );
 
     if (bidirectional) {
+      previousCost = this.#routeCostFloydWarshall(endNode, startNode);
       this.graph[endNode][startNode] = Number(weight);
+      if (profile === null)
+        this.#setRouteMetrics(endNode, startNode, metrics ?? {});
+      this.#setRouteProfile(endNode, startNode, profile);
+      this.#invalidateCaches({
+        type: "route",
+        from: endNode,
+        to: startNode,
+        previousCost,
+      });
       this.logProcess(
         this.loggingLevels.ALL,
         `Created route ${endNode} - ${startNode} with weight: ${this.graph[endNode][startNode]}`
@@ -648,14 +1084,225 @@ module.exports = class Graph {
     return this;
   };
 
+  /**
+   * Stores the metrics of a route, other than the default metric (stored in this.graph).
+   * @param {string} startNode - The starting node of the route.
+   * @param {string} endNode - The ending node of the route.
+   * @param {Object} metrics - Object {metric: value} with the metrics of the route.
+   */
+  #setRouteMetrics = (startNode, endNode, metrics) => {
+    if (Object.keys(metrics).length === 0) {
+      this.#deleteFromRoutes(this.metricsRoutes, startNode, endNode);
+      return;
+    }
+    if (!this.metricsRoutes.hasOwnProperty(startNode)) {
+      this.metricsRoutes[startNode] = {};
+    }
+    this.metricsRoutes[startNode][endNode] = {};
+    for (const metric in metrics) {
+      this.metricsRoutes[startNode][endNode][metric] = Number(metrics[metric]);
+    }
+  };
+
+  /**
+   * Returns the objects {startNode: {endNode: value}} with optional values of the routes, kept in sync with this.graph.
+   * @returns {Array} The metrics, travel time profiles and capacities of the routes.
+   */
+  #routeStores = () => [
+    this.metricsRoutes,
+    this.profilesRoutes,
+    this.capacitiesRoutes,
+  ];
+
+  /**
+   * Deletes the value stored for a route in an object {startNode: {endNode: value}} (e.g. this.metricsRoutes).
+   * @param {Object} routes - The object with the values of the routes.
+   * @param {string} startNode - The starting node of the route.
+   * @param {string} endNode - The ending node of the route.
+   */
+  #deleteFromRoutes = (routes, startNode, endNode) => {
+    if (!routes.hasOwnProperty(startNode)) return;
+    delete routes[startNode][endNode];
+    if (Object.keys(routes[startNode]).length === 0) {
+      delete routes[startNode];
+    }
+  };
+
+  /**
+   * Renames a node in an object {startNode: {endNode: value}} with the values of the routes (e.g. this.metricsRoutes).
+   * @param {Object} routes - The object with the values of the routes.
+   * @param {string} nodeName - The previous name of the node.
+   * @param {string} newNodeName - The new name of the node.
+   */
+  #renameNodeInRoutes = (routes, nodeName, newNodeName) => {
+    if (routes.hasOwnProperty(nodeName)) {
+      routes[newNodeName] = routes[nodeName];
+      delete routes[nodeName];
+    }
+    for (const node in routes) {
+      if (routes[node][nodeName] !== undefined) {
+        routes[node][newNodeName] = routes[node][nodeName];
+        delete routes[node][nodeName];
+      }
+    }
+  };
+
+  /**
+   * Stores the travel time profile of a route, or deletes it if the route has a static weight.
+   * @param {string} startNode - The starting node of the route.
+   * @param {string} endNode - The ending node of the route.
+   * @param {(TimeProfile|Function)} profile - The travel time profile of the route, or null.
+   */
+  #setRouteProfile = (startNode, endNode, profile) => {
+    if (profile === null) {
+      this.#deleteFromRoutes(this.profilesRoutes, startNode, endNode);
+      return;
+    }
+    if (!this.profilesRoutes.hasOwnProperty(startNode)) {
+      this.profilesRoutes[startNode] = {};
+    }
+    this.profilesRoutes[startNode][endNode] = profile;
+  };
+
+  /**
+   * Returns the weight (travel time) of a route when leaving its starting node at a time.
+   * Routes without a travel time profile return their static weight.
+   * @param {string} startNode - The starting node of the route.
+   * @param {string} endNode - The ending node of the route.
+   * @param {Number} time - The time of departure.
+   * @returns {Number} The travel time of the route, Infinity if the route is avoided or its profile returns an invalid weight or throws an error.
+   * @throws {GraphError} If isError is true and ignoreErrors is false, an error will be thrown if the profile throws an error.
+   */
+  #travelTime = (startNode, endNode, time) => {
+    const weight = this.graph[startNode][endNode];
+    const profiles = this.profilesRoutes[startNode];
+    if (weight === Infinity || profiles === undefined || !profiles[endNode])
+      return weight;
+    const profile = profiles[endNode];
+    let travelTime;
+    try {
+      travelTime = Number(
+        profile instanceof TimeProfile ? profile.at(time) : profile(time)
+      );
+    } catch (error) {
+      this.logProcess(
+        this.loggingLevels.MIN,
+        new InvalidWeightError(
+          `Travel time profile of route ${startNode} - ${endNode} threw an error at time ${time} (${error.message}), the route is avoided`,
+          { nodes: [startNode, endNode], details: { time, error } }
+        ),
+        true
+      );
+      return Infinity;
+    }
+    if (!(travelTime > 0)) {
+      this.logProcess(
+        this.loggingLevels.MIN,
+        `Route ${startNode} - ${endNode} returned an invalid weight (${travelTime}) at time ${time}, the route is avoided`
+      );
+      return Infinity;
+    }
+    return travelTime;
+  };
+
+  /**
+   * Returns the value of a metric of a route.
+   * @param {string} startNode - The starting node of the route.
+   * @param {string} endNode - The ending node of the route.
+   * @param {string} metric - The name of the metric.
+   * @returns {Number} The value of the metric, Infinity if the route is avoided or doesn't have the metric.
+   */
+  #routeMetric = (startNode, endNode, metric) => {
+    const weight = this.graph[startNode][endNode];
+    if (weight === Infinity || metric === this.defaultMetric) return weight;
+    const metrics = this.metricsRoutes[startNode];
+    if (
+      metrics === undefined ||
+      metrics[endNode] === undefined ||
+      metrics[endNode][metric] === undefined
+    )
+      return Infinity;
+    return metrics[endNode][metric];
+  };
+
+  /**
+   * Returns the routes of the graph {{Node}: {AdjacentNode}:{weight}} weighted by a metric or a weighted sum of metrics.
+   * @param {(string|Object)} [metric = null] - Name of the metric or object {metric: factor}. If null, the default metric is used.
+   * The factors can't be negative and at least one of them must be positive.
+   * @returns {Object} The weighted routes, or null if the metric is invalid.
+   */
+  #routesByMetric = (metric = null) => {
+    if (metric === null || metric === this.defaultMetric) return this.graph;
+    let factors;
+    if (typeof metric === "string" && metric !== "") {
+      factors = { [metric]: 1 };
+    } else if (
+      typeof metric === "object" &&
+      Object.values(metric).every(
+        (factor) => Number.isFinite(factor) && factor >= 0
+      ) &&
+      Object.values(metric).some((factor) => factor > 0)
+    ) {
+      factors = metric;
+    } else {
+      this.logProcess(
+        this.loggingLevels.MIN,
+        new InvalidArgumentError(
+          `Metric must be the name of a metric or an object {metric: factor} with non-negative factors (at least one positive), received ${JSON.stringify(
+            metric
+          )}`,
+          { details: { metric } }
+        ),
+        true
+      );
+      return null;
+    }
+    const routes = {};
+    for (const node in this.graph) {
+      routes[node] = {};
+      for (const adjNode in this.graph[node]) {
+        let weight = 0;
+        for (const name in factors) {
+          if (factors[name] === 0) continue;
+          weight += factors[name] * this.#routeMetric(node, adjNode, name);
+        }
+        routes[node][adjNode] = weight;
+      }
+    }
+    return routes;
+  };
+
+  /**
+   * Returns the totals of every metric of the routes of a path (without toll costs).
+   * @param {Array} path - The nodes of the path.
+   * @returns {Object} Object {metric: total}, Infinity if a route doesn't have the metric.
+   */
+  #pathMetrics = (path) => {
+    const names = new Set([this.defaultMetric]);
+    for (let i = 1; i < path.length; i++) {
+      const metrics = this.metricsRoutes[path[i - 1]];
+      if (metrics !== undefined && metrics[path[i]] !== undefined) {
+        Object.keys(metrics[path[i]]).forEach((name) => names.add(name));
+      }
+    }
+    const totals = {};
+    names.forEach((name) => {
+      totals[name] = 0;
+      for (let i = 1; i < path.length; i++) {
+        totals[name] += this.#routeMetric(path[i - 1], path[i], name);
+      }
+    });
+    return totals;
+  };
+
   /**
    * Edits a route/path between two nodes.
    * @param {string} startNode - The starting node of the path. If bidirectional, is a node of the path.
    * @param {string} endNode - The ending node of the path. If bidirectional, is the other node of the path.
-   * @param {Number} weight - The weight of the path.
+   * @param {Number} weight - The weight of the path. A plain number removes the other metrics of the route ( @see addRoute ).
    * @param {boolean} [bidirectionalEdit = false] - If true, bidirectional path will be created/edited.
    * @param {boolean} [verifyExistence = false] - If true and route doesn't exist, will log an error.
-   * @throws {Error} If isError is true and ignoreErrors is false, an error will be thrown in the following cases:
+   * @throws {GraphError} If isError is true and ignoreErrors is false, an error will be thrown in the following cases:
    *   * If the starting node or the ending node is null.
    *   * If the starting node or the ending node doesn't exist in graph and this.autoCreateNodes is false.
    *   * If the starting node and the ending node are the same.
@@ -677,7 +1324,10 @@ module.exports = class Graph {
     ) {
       this.logProcess(
         this.loggingLevels.MIN,
-        `Trying to edit non-existing route ${startNode} -> ${endNode} with parameter verifyExistence = true`,
+        new RouteNotFoundError(
+          `Trying to edit non-existing route ${startNode} -> ${endNode} with parameter verifyExistence = true`,
+          { nodes: [startNode, endNode] }
+        ),
         true
       );
       return this;
@@ -698,25 +1348,33 @@ module.exports = class Graph {
     bidirectionalDelete = false,
     deleteFromGraph = true
   ) => {
-    let errorMessage = "";
-    let countErrors = 0;
+    const errors = [];
     if (!startNode) {
-      countErrors++;
-      errorMessage += `Error [${countErrors}]: Starting node can't be null or undefined.\n`;
+      errors.push(
+        new InvalidArgumentError("Starting node can't be null or undefined.")
+      );
     }
     if (!endNode) {
-      countErrors++;
-      errorMessage += `Error [${countErrors}]: Ending node can't be null or undefined.\n`;
+      errors.push(
+        new InvalidArgumentError("Ending node can't be null or undefined.")
+      );
     }
-    if (countErrors > 0) {
-      this.logProcess(this.loggingLevels.MIN, errorMessage, true);
+    if (errors.length > 0) {
+      this.logProcess(
+        this.loggingLevels.MIN,
+        new ValidationError(errors),
+        true
+      );
       return this;
     }
 
     if (!this.graph.hasOwnProperty(startNode)) {
       this.logProcess(
         this.loggingLevels.MIN,
-        `Starting node ${startNode} doesn't exist in graph.`,
+        new NodeNotFoundError(
+          `Starting node ${startNode} doesn't exist in graph.`,
+          { nodes: [startNode] }
+        ),
         true
       );
       return this;
@@ -725,7 +1383,10 @@ module.exports = class Graph {
     if (!this.graph.hasOwnProperty(endNode)) {
       this.logProcess(
         this.loggingLevels.MIN,
-        `Ending node ${endNode} doesn't exist in graph.`,
+        new NodeNotFoundError(
+          `Ending node ${endNode} doesn't exist in graph.`,
+          { nodes: [endNode] }
+        ),
         true
       );
       return this;
@@ -734,7 +1395,10 @@ module.exports = class Graph {
     if (this.graph[startNode][endNode] == undefined) {
       this.logProcess(
         this.loggingLevels.MIN,
-        `Path from ${startNode} to ${endNode} doesn't exist.`,
+        new RouteNotFoundError(
+          `Path from ${startNode} to ${endNode} doesn't exist.`,
+          { nodes: [startNode, endNode] }
+        ),
         true
       );
       return this;
@@ -743,10 +1407,19 @@ module.exports = class Graph {
     if (deleteFromGraph) {
       this.logProcess(
         this.loggingLevels.ALL,
-        `Deleted route ${startNode} - ${endNode} with previous weight: ${this.graph[startNode][endNode]}.`,
-        true
+        `Deleted route ${startNode} - ${endNode} with previous weight: ${this.graph[startNode][endNode]}.`
       );
+      const previousCost = this.#routeCostFloydWarshall(startNode, endNode);
       delete this.graph[startNode][endNode];
+      this.#routeStores().forEach((routes) =>
+        this.#deleteFromRoutes(routes, startNode, endNode)
+      );
+      this.#invalidateCaches({
+        type: "route",
+        from: startNode,
+        to: endNode,
+        previousCost,
+      });
       if (bidirectionalDelete) {
         return this.deleteRoute(endNode, startNode, false, deleteFromGraph);
       }
@@ -765,20 +1438,96 @@ module.exports = class Graph {
     return this.deleteRoute(startNode, endNode, bidirectionalAvoid, false);
   };
 
+  /**
+   * Sets the capacity of a route (e.g. max volume per day), used by findMaxFlow. Routes without capacity have unlimited capacity.
+   * @param {string} startNode - The starting node of the path. If bidirectional, is a node of the path.
+   * @param {string} endNode - The ending node of the path. If bidirectional, is the other node of the path.
+   * @param {Number} capacity - The capacity of the route, or null to remove it (unlimited capacity).
+   * @param {boolean} [bidirectional = false] - If true, sets the capacity of both routes from start to end and from end to start nodes.
+   * @throws {GraphError} If isError is true and ignoreErrors is false, an error will be thrown in the following cases:
+   *   * If the route doesn't exist.
+   *   * If the capacity isn't a positive number or zero.
+   */
+  setRouteCapacity = (startNode, endNode, capacity, bidirectional = false) => {
+    if (
+      !this.graph.hasOwnProperty(startNode) ||
+      !this.graph[startNode].hasOwnProperty(endNode) ||
+      (bidirectional && !this.graph[endNode].hasOwnProperty(startNode))
+    ) {
+      this.logProcess(
+        this.loggingLevels.MIN,
+        new RouteNotFoundError(
+          `Path from ${startNode} to ${endNode} doesn't exist.`,
+          { nodes: [startNode, endNode] }
+        ),
+        true
+      );
+      return this;
+    }
+    if (capacity !== null && (isNaN(capacity) || Number(capacity) < 0)) {
+      this.logProcess(
+        this.loggingLevels.MIN,
+        new InvalidWeightError(
+          "The capacity of the route must be a positive number or zero",
+          { nodes: [startNode, endNode], details: { capacity } }
+        ),
+        true
+      );
+      return this;
+    }
+    const routes = bidirectional
+      ? [
+          [startNode, endNode],
+          [endNode, startNode],
+        ]
+      : [[startNode, endNode]];
+    routes.forEach(([node, adjNode]) => {
+      if (capacity === null) {
+        this.#deleteFromRoutes(this.capacitiesRoutes, node, adjNode);
+        return;
+      }
+      if (!this.capacitiesRoutes.hasOwnProperty(node)) {
+        this.capacitiesRoutes[node] = {};
+      }
+      this.capacitiesRoutes[node][adjNode] = Number(capacity);
+      this.logProcess(
+        this.loggingLevels.ALL,
+        `Changed route ${node} - ${adjNode} with new capacity: ${capacity}`
+      );
+    });
+    return this;
+  };
+
   /**
    * Multiply by positive factor the routes.
    * @param {Number} factor - Positive factor to multiply to all routes weights.
-   * @throws {Error} If isError is true and ignoreErrors is false, an error will be thrown in the following cases:
+   * @param {string} [metric = null] - Name of the metric to multiply. If null, the weight of the routes (this.defaultMetric) is multiplied.
+   * @throws {GraphError} If isError is true and ignoreErrors is false, an error will be thrown in the following cases:
    *   * If the factor is null, zero or negative
    */
-  MultiplyByFactorRoutes = (factor) => {
+  MultiplyByFactorRoutes = (factor, metric = null) => {
     if (isNaN(factor) || Number(factor) <= 0) {
       this.logProcess(
         this.loggingLevels.MIN,
-        "The factor must be a positive number",
+        new InvalidArgumentError("The factor must be a positive number", {
+          details: { factor },
+        }),
         true
       );
       return this;
+    } else if (metric !== null && metric !== this.defaultMetric) {
+      for (const node in this.metricsRoutes) {
+        for (const adjNode in this.metricsRoutes[node]) {
+          const metrics = this.metricsRoutes[node][adjNode];
+          if (metrics.hasOwnProperty(metric)) {
+            metrics[metric] *= factor;
+            this.logProcess(
+              this.loggingLevels.ALL,
+              `Changed route ${node} - ${adjNode} with new ${metric}: ${metrics[metric]}`
+            );
+          }
+        }
+      }
     } else {
       for (const node in this.graph) {
         if (this.graph.hasOwnProperty(node)) {
@@ -793,6 +1542,16 @@ module.exports = class Graph {
           }
         }
       }
+      for (const node in this.profilesRoutes) {
+        for (const adjNode in this.profilesRoutes[node]) {
+          const profile = this.profilesRoutes[node][adjNode];
+          this.profilesRoutes[node][adjNode] =
+            profile instanceof TimeProfile
+              ? profile.scale(factor)
+              : (time) => profile(time) * factor;
+        }
+      }
+      this.#invalidateCaches();
     }
 
     return this;
@@ -801,14 +1560,16 @@ module.exports = class Graph {
   /**
    * Multiply by positive factor the cost of the nodes.
    * @param {Number} factor - Positive factor to multiply to all nodes weights.
-   * @throws {Error} If isError is true and ignoreErrors is false, an error will be thrown in the following cases:
+   * @throws {GraphError} If isError is true and ignoreErrors is false, an error will be thrown in the following cases:
    *   * If the factor is null or negative
    */
   MultiplyByFactorNodesCosts = (factor) => {
     if (isNaN(factor) || Number(factor) < 0) {
       this.logProcess(
         this.loggingLevels.MIN,
-        "The factor must be a positive number",
+        new InvalidArgumentError("The factor must be a positive number", {
+          details: { factor },
+        }),
         true
       );
       return this;
@@ -822,6 +1583,7 @@ module.exports = class Graph {
           );
         }
       }
+      this.#invalidateCaches();
     }
 
     return this;
@@ -829,90 +1591,96 @@ module.exports = class Graph {
   /**
    * Finds the closest adjacent node
    * @param {Object} nodes - The adjacent nodes of the node.
-   * @param {Array} visitedNodes - The nodes already visited.
-   * @returns {Object} The closest node.
+   * @param {Array|Set} visitedNodes - The nodes already visited.
+   * @returns {Object} The closest node, or null if every node has been visited.
    */
   findCheapestNode = (nodes, visitedNodes) => {
-    let closest = null;
-
-    //Explore every adjacent node.
+    const visited = new Set(visitedNodes);
+    const frontier = new PriorityQueue();
     for (let node in nodes) {
-      let isClosest =
-        closest === null ||
-        nodes[node] + this.costsNodes[node] < nodes[closest];
-      //If the node is the closest and hasn't been visited, then it's the closest node.
-      if (isClosest && !visitedNodes.includes(node)) {
-        closest = node;
-      }
+      frontier.push(node, nodes[node] + this.costsNodes[node]);
     }
-    return closest;
+    while (!frontier.isEmpty()) {
+      const { value } = frontier.pop();
+      if (!visited.has(value)) return value;
+    }
+    return null;
   };
 
   /**
-   * Finds the best (min weight) path.
-   * @param {string} startNode - The starting node of the path.
-   * @param {string} endNode - The ending node of the path.
-   * @returns {Object} Object with path and calculated weight (distance).
+   * Removes the cheapest tentative node from the frontier, skipping stale entries.
+   * @param {PriorityQueue} frontier - The frontier of tentative nodes.
+   * @param {Object} nodes - The current distance of each tentative node.
+   * @param {Set} visitedNodes - The nodes already visited.
+   * @returns {string} The cheapest unvisited node, or null if there are none left.
    */
-  findPathDijkstra = (startNode, endNode) => {
-    const resultTableLog = {};
-    this.logProcess(this.loggingLevels.STEPS, "Starting Dijkstra Algorithm");
-
-    if (
-      startNode == null ||
-      endNode == null ||
-      !this.graph.hasOwnProperty(startNode) ||
-      !this.graph.hasOwnProperty(endNode)
-    ) {
-      this.logProcess(
-        this.loggingLevels.MIN,
-        "The starting/ending nodes specified doesn't exist in the graph yet.",
-        true
-      );
-      return this;
-    }
-
-    startNode = String(startNode);
-    endNode = String(endNode);
-
-    if (Object.keys(this.graph[startNode]).length == 0) {
-      this.logProcess(
-        this.loggingLevels.MIN,
-        "The starting node doesn't have any connections to another node.",
-        true
-      );
-      return this;
-    }
+  #nextFrontierNode = (frontier, nodes, visitedNodes) => {
+    while (!frontier.isEmpty()) {
+      const { value, priority } = frontier.pop();
+      if (!visitedNodes.has(value) && priority === nodes[value]) return value;
+    }
+    return null;
+  };
 
+  /**
+   * Runs the Dijkstra Algorithm from a node to every reachable node.
+   * @param {string} startNode - The starting node.
+   * @param {string} [endNode = null] - The ending node, logged even if it's unreachable.
+   * @param {Object} [options] - Optional parameters of the execution.
+   * @param {Function} [options.skipRoute = null] - Function (node, adjNode) => boolean, if true the route is ignored.
+   * @param {boolean} [options.logSteps = true] - If false, the iterations won't be logged.
+   * @param {boolean} [options.earlyExit = false] - If true, the execution stops once the ending node is visited.
+   * @param {Object} [options.routes = this.graph] - The weighted routes used ( @see #routesByMetric ).
+   * @param {Function} [options.routeWeight = null] - Function (node, adjNode, cost) => weight, with the cost to leave the node.
+   * If null, the weight of the routes is used.
+   * @returns {Object} Object {nodes, parents, tableLog} with the distance and parent of each node and the iterations.
+   */
+  #runDijkstra = (
+    startNode,
+    endNode = null,
+    {
+      skipRoute = null,
+      logSteps = true,
+      earlyExit = false,
+      routes = this.graph,
+      routeWeight = null,
+    } = {}
+  ) => {
+    const weightOf =
+      routeWeight === null
+        ? (node, adjNode) => routes[node][adjNode]
+        : routeWeight;
+    const resultTableLog = {};
     let iteration = 0;
     let nodes = {};
-    nodes[endNode] = Infinity;
-    nodes = Object.assign(nodes, this.graph[startNode]);
+    if (endNode !== null) nodes[endNode] = Infinity;
 
     let parents = { endNode: null };
 
     //Assign the parent of each child node of the startNode.
-    for (let child in this.graph[startNode]) {
+    let updatedNodes = "";
+    let updatedDistances = "";
+    for (let child in routes[startNode]) {
+      if (skipRoute !== null && skipRoute(startNode, child)) continue;
       parents[child] = startNode;
-      nodes[child] += this.costsNodes[startNode] + this.costsNodes[child];
+      nodes[child] =
+        this.costsNodes[startNode] +
+        weightOf(startNode, child, this.costsNodes[startNode]) +
+        this.costsNodes[child];
+      updatedNodes += `${child}, `;
+      updatedDistances += `${nodes[child]}, `;
     }
 
-    let visited = [];
+    //Frontier of tentative nodes, ordered by their current distance.
+    const frontier = new PriorityQueue();
+    for (const tentativeNode in nodes) {
+      frontier.push(tentativeNode, nodes[tentativeNode]);
+    }
 
-    let node = this.findCheapestNode(nodes, visited);
+    const visited = new Set();
+
+    let node = this.#nextFrontierNode(frontier, nodes, visited);
 
-    let updatedNodes = "";
-    let updatedDistances = "";
-    for (const adjNode in this.graph[startNode]) {
-      if (this.graph[startNode].hasOwnProperty(adjNode)) {
-        updatedNodes += `${adjNode}, `;
-        updatedDistances += `${
-          this.costsNodes[startNode] +
-          this.graph[startNode][adjNode] +
-          this.costsNodes[adjNode]
-        }, `;
-      }
-    }
     resultTableLog[0] = new TableLog(
       startNode,
       this.costsNodes[startNode],
@@ -926,38 +1694,50 @@ module.exports = class Graph {
 
       let actual_cost = nodes[node];
 
-      this.logProcess(
-        this.loggingLevels.STEPS,
-        `Visited: ${String(node)}, Distance/Cost: ${actual_cost}, Connection ${
-          parents[String(node)] === undefined
-            ? "None"
-            : parents[String(node)] + " -> " + String(node)
-        }`,
-        false,
-        `Iteration ${iteration}`
-      );
+      if (logSteps) {
+        this.logProcess(
+          this.loggingLevels.STEPS,
+          `Visited: ${String(
+            node
+          )}, Distance/Cost: ${actual_cost}, Connection ${
+            parents[String(node)] === undefined
+              ? "None"
+              : parents[String(node)] + " -> " + String(node)
+          }`,
+          false,
+          `Iteration ${iteration}`
+        );
+      }
       let updatedNodes = "";
       let updatedCosts = "";
 
-      let adjNodes = this.graph[node];
+      //The routes of the ending node can't make its path cheaper.
+      let adjNodes = earlyExit && node === endNode ? {} : routes[node];
       for (let adjNode in adjNodes) {
-        //Skip route to beginning
-        if (String(adjNode) === String(startNode)) {
+        //Skip route to beginning, already settled nodes and skipped routes
+        if (
+          String(adjNode) === String(startNode) ||
+          visited.has(adjNode) ||
+          (skipRoute !== null && skipRoute(node, adjNode))
+        ) {
           continue;
         } else {
           let new_cost =
-            actual_cost + adjNodes[adjNode] + this.costsNodes[adjNode];
+            actual_cost +
+            weightOf(node, adjNode, actual_cost) +
+            this.costsNodes[adjNode];
 
           if (!nodes[adjNode] || new_cost < nodes[adjNode]) {
             updatedNodes += `${String(adjNode)}, `;
             updatedCosts += `${new_cost}, `;
             nodes[adjNode] = new_cost;
             parents[adjNode] = node;
+            frontier.push(adjNode, new_cost);
           }
         }
       }
 
-      if (updatedNodes != "") {
+      if (logSteps && updatedNodes != "") {
         this.logProcess(
           this.loggingLevels.STEPS,
           `Updated Nodes: ${updatedNodes.slice(
@@ -977,167 +1757,3937 @@ module.exports = class Graph {
         updatedNodes.slice(0, -2),
         updatedCosts.slice(0, -2)
       );
-      visited.push(node);
+      visited.add(node);
+      if (earlyExit && node === endNode) break;
 
-      node = this.findCheapestNode(nodes, visited);
+      node = this.#nextFrontierNode(frontier, nodes, visited);
     }
 
+    return { nodes, parents, tableLog: resultTableLog };
+  };
+
+  /**
+   * Builds the path to a node following the parents found by an algorithm.
+   * @param {Object} parents - The parent of each node.
+   * @param {string} endNode - The ending node of the path.
+   * @returns {Array} The nodes of the path.
+   */
+  #pathFromParents = (parents, endNode) => {
     let cheapestPath = [endNode];
     let parent = parents[endNode];
     while (parent) {
       cheapestPath.unshift(parent);
       parent = parents[parent];
     }
-
-    let results = {
-      cost: this.formatCost(nodes[endNode]),
-      path: cheapestPath,
-    };
-
-    this.#tableLog = resultTableLog;
-    this.logProcess(this.loggingLevels.STEPS, resultTableLog);
-    return results;
+    return cheapestPath;
   };
 
   /**
-   * Finds the distance and precedence matrix using the Floyd Warshall Algorithm
-   * @returns {Array} [distanceMatrix, precedenceMatrix] for the graph.
+   * Returns the cheapest tentative node of the frontier without removing it, discarding stale entries.
+   * @param {PriorityQueue} frontier - The frontier of tentative nodes.
+   * @param {Object} nodes - The current distance of each tentative node.
+   * @param {Set} visitedNodes - The nodes already visited.
+   * @returns {Object} Object {value, priority} of the cheapest unvisited node, or null if there are none left.
    */
-  findMatricesFloydWarshall = () => {
-    let arrayOfNodes = [];
-    let dist = {};
-    let precedenceMatrix = {};
-    for (const node in this.graph) {
-      arrayOfNodes.push(node);
+  #peekFrontierNode = (frontier, nodes, visitedNodes) => {
+    while (!frontier.isEmpty()) {
+      const top = frontier.peek();
+      if (!visitedNodes.has(top.value) && top.priority === nodes[top.value])
+        return top;
+      frontier.pop();
     }
-    arrayOfNodes = arrayOfNodes.sort();
-    arrayOfNodes.forEach((i) => {
-      dist[i] = {};
-      precedenceMatrix[i] = {};
-    });
-    arrayOfNodes.forEach((i) =>
-      arrayOfNodes.forEach((j) => {
-        precedenceMatrix[i][j] = i;
-        if (i === j) dist[i][j] = 0;
-        else dist[i][j] = this.graph[i][j] + this.costsNodes[j] || Infinity;
-      })
-    );
+    return null;
+  };
+
+  /**
+   * Runs the Dijkstra Algorithm from both ends of the path at the same time: forward from the starting node
+   * and backward (over the reverse adjacency) from the ending node, until both searches meet.
+   * The forward distance of a node includes its toll cost, the backward distance only includes the toll cost of the following nodes.
+   * @param {string} startNode - The starting node of the path.
+   * @param {string} endNode - The ending node of the path.
+   * @param {Object} [routes = this.graph] - The weighted routes used ( @see #routesByMetric ).
+   * @returns {Object} Object {cost, path, tableLog} with the cheapest path and the iterations.
+   */
+  #runBidirectionalDijkstra = (startNode, endNode, routes = this.graph) => {
+    const resultTableLog = {};
+    const reverseGraph = this.#getReverseGraph();
+    const forward = {
+      nodes: { [startNode]: this.costsNodes[startNode] },
+      parents: {},
+      visited: new Set(),
+      frontier: new PriorityQueue(),
+    };
+    const backward = {
+      nodes: { [endNode]: 0 },
+      parents: {},
+      visited: new Set(),
+      frontier: new PriorityQueue(),
+    };
+    forward.frontier.push(startNode, forward.nodes[startNode]);
+    backward.frontier.push(endNode, 0);
 
+    let bestCost = Infinity;
+    let meetingNode = null;
     let iteration = 0;
 
-    this.logProcess(
-      this.loggingLevels.STEPS,
-      dist,
-      false,
-      `Iteration ${iteration}`
-    );
+    for (;;) {
+      const forwardTop = this.#peekFrontierNode(
+        forward.frontier,
+        forward.nodes,
+        forward.visited
+      );
+      const backwardTop = this.#peekFrontierNode(
+        backward.frontier,
+        backward.nodes,
+        backward.visited
+      );
+      //No path through an unvisited node can be cheaper than the best one found.
+      if (
+        forwardTop === null ||
+        backwardTop === null ||
+        forwardTop.priority + backwardTop.priority >= bestCost
+      )
+        break;
 
-    arrayOfNodes.forEach((middleNode) => {
-      arrayOfNodes.forEach((startNode) => {
-        if (middleNode === startNode) return;
-        arrayOfNodes.forEach((endNode) => {
-          if (middleNode === endNode) return;
-          else if (startNode === endNode) return;
+      const isForward = forwardTop.priority <= backwardTop.priority;
+      const search = isForward ? forward : backward;
+      const other = isForward ? backward : forward;
+      const node = search.frontier.pop().value;
+      const actual_cost = search.nodes[node];
+      search.visited.add(node);
 
-          const throughMiddle =
-            dist[startNode][middleNode] +
-            dist[middleNode][endNode] +
-            (middleNode != startNode && middleNode != endNode
-              ? 0
-              : this.costsNodes[middleNode]);
-          if (dist[startNode][endNode] > throughMiddle) {
-            dist[startNode][endNode] = throughMiddle;
-            precedenceMatrix[startNode][endNode] = middleNode;
-          }
-        });
-      });
+      let updatedNodes = "";
+      let updatedCosts = "";
+      const nextNodes = isForward
+        ? Object.keys(routes[node])
+        : reverseGraph[node];
+      for (const nextNode of nextNodes) {
+        //Skip routes to the beginning (forward) and from the ending (backward)
+        if (nextNode === (isForward ? startNode : endNode)) continue;
+        const new_cost = isForward
+          ? actual_cost + routes[node][nextNode] + this.costsNodes[nextNode]
+          : actual_cost + routes[nextNode][node] + this.costsNodes[node];
+        if (!(new_cost < Infinity)) continue;
+        if (
+          search.nodes[nextNode] === undefined ||
+          new_cost < search.nodes[nextNode]
+        ) {
+          updatedNodes += `${nextNode}, `;
+          updatedCosts += `${new_cost}, `;
+          search.nodes[nextNode] = new_cost;
+          search.parents[nextNode] = node;
+          search.frontier.push(nextNode, new_cost);
+        }
+        //Both searches reached the node, so there is a path through it.
+        if (
+          other.nodes[nextNode] !== undefined &&
+          search.nodes[nextNode] + other.nodes[nextNode] < bestCost
+        ) {
+          bestCost = search.nodes[nextNode] + other.nodes[nextNode];
+          meetingNode = nextNode;
+        }
+      }
 
-      iteration++;
-      this.logProcess(
-        this.loggingLevels.STEPS,
-        dist,
-        false,
-        `Iteration ${iteration}`
+      const parent = search.parents[node];
+      resultTableLog[iteration] = new TableLog(
+        node,
+        actual_cost,
+        parent === undefined
+          ? "-"
+          : isForward
+          ? `${parent} -> ${node}`
+          : `${node} -> ${parent}`,
+        updatedNodes.slice(0, -2),
+        updatedCosts.slice(0, -2)
       );
       this.logProcess(
         this.loggingLevels.STEPS,
-        precedenceMatrix,
+        `Visited (${
+          isForward ? "forward" : "backward"
+        }): ${node}, Distance/Cost: ${actual_cost}`,
         false,
         `Iteration ${iteration}`
       );
-    });
-
-    arrayOfNodes.forEach((row) => {
-      if (this.costsNodes[row] > 0) {
-        arrayOfNodes.forEach((col) => {
-          if (dist[row][col] > 0 && dist[row][col] < Infinity) {
-            dist[row][col] += this.costsNodes[row];
-          }
-        });
-      }
-    });
-
-    if (this.costFormat != null) {
-      arrayOfNodes.forEach((row) => {
-        arrayOfNodes.forEach((col) => {
-          dist[row][col] = this.formatCost(dist[row][col]);
-        });
-      });
+      iteration++;
     }
 
-    this.#tableLog = dist;
-    this.#distanceMatrix = dist;
-    this.#precedenceMatrix = precedenceMatrix;
-    return [dist, precedenceMatrix];
+    if (meetingNode === null) {
+      return { cost: Infinity, path: [endNode], tableLog: resultTableLog };
+    }
+    const path = this.#pathFromParents(forward.parents, meetingNode);
+    let next = backward.parents[meetingNode];
+    while (next !== undefined) {
+      path.push(next);
+      next = backward.parents[next];
+    }
+    return { cost: bestCost, path, tableLog: resultTableLog };
   };
 
   /**
-   * Find the cheapest path between two nodes using FloydWarshall Matrices.
+   * Finds the best (min weight) path.
    * @param {string} startNode - The starting node of the path.
    * @param {string} endNode - The ending node of the path.
-   * @throws {Error} If isError is true and ignoreErrors is false, an error will be thrown in the following cases:
-   *   * If the Floyd Warshall Algorithm hasn't been executed previously.
+   * @param {Object} [options] - Optional parameters of the search.
+   * @param {string} [options.mode = "full"] - Search mode ( @see Constants.DijkstraModes ):
+   *   * "full": visits every reachable node.
+   *   * "earlyExit": stops once the ending node is visited.
+   *   * "bidirectional": searches forward from the starting node and backward from the ending node until both searches meet.
+   * @param {(string|Object)} [options.metric = null] - Name of the metric to minimize or object {metric: factor} to minimize a weighted sum of metrics.
+   * If null, the weight of the routes (this.defaultMetric) is minimized.
+   * @param {(Number|string)} [options.departAt = null] - Time of departure from the starting node, in minutes or "HH:MM".
+   * If specified, the earliest arrival path is found using the travel time of the time-dependent routes at the time each route is taken
+   * (the cost of the nodes is the time spent on them). Not supported with the bidirectional mode or a metric.
+   * @returns {Object} Object with path and calculated weight (distance). If the graph has routes with several metrics or a metric is specified,
+   * the object includes the totals of every metric of the routes of the path (metrics). If departAt is specified, the object includes
+   * the arrival time to each node of the path (arrivals). If there isn't any path, returns {cost: Infinity, path: [], unreachable: true}.
+   * @throws {GraphError} If isError is true and ignoreErrors is false, an error will be thrown in the following cases:
+   *   * If the starting node or the ending node doesn't exist in graph, or the starting node doesn't have any route.
+   *   * If the graph has negative weights.
+   *   * If the mode, the metric or departAt are invalid.
+   *   * If the travel time profile of a route throws an error at the time the route is taken (otherwise, the route is avoided).
    */
-  findPathFloydWarshall = (startNode, endNode) => {
-    const end = endNode;
-    if (this.precedenceMatrix == null || this.distanceMatrix == null) {
+  findPathDijkstra = (
+    startNode,
+    endNode,
+    { mode = DijkstraModes.FULL, metric = null, departAt = null } = {}
+  ) => {
+    this.logProcess(this.loggingLevels.STEPS, "Starting Dijkstra Algorithm");
+
+    if (
+      startNode == null ||
+      endNode == null ||
+      !this.graph.hasOwnProperty(startNode) ||
+      !this.graph.hasOwnProperty(endNode)
+    ) {
       this.logProcess(
-        this.loggingLevels.ALL,
-        "Precedence Matrix and Distance Matrix are required to find the path. Firstly run findMatricesFloydWarshall",
+        this.loggingLevels.MIN,
+        new NodeNotFoundError(
+          "The starting/ending nodes specified doesn't exist in the graph yet.",
+          { nodes: this.#missingNodes(startNode, endNode) }
+        ),
         true
       );
+      return this;
     }
-    if (startNode == null || endNode == null || startNode == "" || endNode == "")
-    {
+
+    startNode = String(startNode);
+    endNode = String(endNode);
+
+    if (Object.keys(this.graph[startNode]).length == 0) {
       this.logProcess(
         this.loggingLevels.MIN,
-        "The starting/ending nodes specified doesn't exist in the graph yet.",
+        new NodeWithoutRoutesError(
+          "The starting node doesn't have any connections to another node.",
+          { nodes: [startNode] }
+        ),
         true
       );
       return this;
     }
 
-    if (Object.keys(this.graph[startNode]).length == 0) {
+    if (this.allowNegativeWeights && this.#hasNegativeRoutes()) {
       this.logProcess(
         this.loggingLevels.MIN,
-        "The starting node doesn't have any connections to another node.",
+        new NegativeWeightsError(
+          "Dijkstra Algorithm doesn't support negative weights. Use findPathBellmanFord instead."
+        ),
         true
       );
       return this;
     }
-    
-    let predecesor = this.precedenceMatrix[startNode][endNode];
-    let route = [];
-    while (predecesor !== endNode) {
-      route.push(String(endNode));
-      endNode = this.precedenceMatrix[predecesor][endNode];
+
+    if (!Object.values(DijkstraModes).includes(mode)) {
+      this.logProcess(
+        this.loggingLevels.MIN,
+        new InvalidArgumentError(
+          `Unknown Dijkstra mode ${mode}, expected one of: ${Object.values(
+            DijkstraModes
+          ).join(", ")}`,
+          { details: { mode } }
+        ),
+        true
+      );
+      return this;
     }
-    route.push(String(predecesor));
-    route.push(String(startNode));
-    route = route.reverse();
-    return {
-      cost: this.distanceMatrix[startNode][end],
-      path: route,
-    };
+
+    let routeWeight = null;
+    if (departAt !== null) {
+      const departure = toMinutes(departAt);
+      if (!isFinite(departure)) {
+        this.logProcess(
+          this.loggingLevels.MIN,
+          new InvalidArgumentError(
+            `Invalid departure time ${departAt}, expected a number of minutes or "HH:MM"`,
+            { details: { departAt } }
+          ),
+          true
+        );
+        return this;
+      }
+      if (mode === DijkstraModes.BIDIRECTIONAL || metric !== null) {
+        this.logProcess(
+          this.loggingLevels.MIN,
+          new InvalidArgumentError(
+            "Time-dependent search (departAt) doesn't support the bidirectional mode or metrics"
+          ),
+          true
+        );
+        return this;
+      }
+      departAt = departure;
+      routeWeight = (node, adjNode, cost) =>
+        this.#travelTime(node, adjNode, departAt + cost);
+    }
+
+    const routes = this.#routesByMetric(metric);
+    if (routes === null) return this;
+
+    let cost, path, tableLog;
+    let arrivals = null;
+    if (mode === DijkstraModes.BIDIRECTIONAL && startNode !== endNode) {
+      const bidirectional = this.#runBidirectionalDijkstra(
+        startNode,
+        endNode,
+        routes
+      );
+      tableLog = bidirectional.tableLog;
+      cost = bidirectional.cost;
+      path = bidirectional.path;
+    } else {
+      const dijkstra = this.#runDijkstra(startNode, endNode, {
+        earlyExit: mode !== DijkstraModes.FULL,
+        routes,
+        routeWeight,
+      });
+      tableLog = dijkstra.tableLog;
+      cost =
+        startNode === endNode
+          ? this.costsNodes[startNode]
+          : dijkstra.nodes[endNode];
+      path = this.#pathFromParents(dijkstra.parents, endNode);
+      if (departAt !== null) {
+        //Arrival before the time spent on the node (its cost).
+        arrivals = path.map((node, i) =>
+          i === 0
+            ? departAt
+            : departAt + dijkstra.nodes[node] - this.costsNodes[node]
+        );
+      }
+    }
+
+    let results;
+    //Unreachable nodes keep an infinite distance, also if their routes are unusable for the minimized metric or the departure time.
+    if (cost === Infinity) {
+      results = this.#unreachablePath(startNode, endNode);
+    } else {
+      results = { cost: this.formatCost(cost), path };
+      if (arrivals !== null) results.arrivals = arrivals;
+      if (metric !== null || Object.keys(this.metricsRoutes).length > 0) {
+        results.metrics = this.#pathMetrics(path);
+      }
+    }
+
+    this.#tableLog = tableLog;
+    this.logProcess(this.loggingLevels.STEPS, tableLog);
+    return results;
+  };
+
+  /**
+   * Finds the best (min weight) path from a node to every node of the graph, in a single execution of the Dijkstra Algorithm.
+   * @param {string} startNode - The starting node of the paths.
+   * @param {Object} [options] - Optional parameters of the search.
+   * @param {(string|Object)} [options.metric = null] - Name of the metric to minimize or object {metric: factor} ( @see findPathDijkstra ).
+   * @returns {Object} Object {costs, paths, tree} with the cost and path to every node, and the shortest path tree ( @see ShortestPathTree ).
+   * Unreachable nodes have cost Infinity and an empty path.
+   * @throws {GraphError} If isError is true and ignoreErrors is false, an error will be thrown if the starting node doesn't exist.
+   */
+  findAllPathsFrom = (startNode, { metric = null } = {}) => {
+    this.logProcess(this.loggingLevels.STEPS, "Starting Dijkstra Algorithm");
+
+    if (startNode == null || !this.graph.hasOwnProperty(startNode)) {
+      this.logProcess(
+        this.loggingLevels.MIN,
+        new NodeNotFoundError(
+          "The starting node specified doesn't exist in the graph yet.",
+          { nodes: this.#missingNodes(startNode) }
+        ),
+        true
+      );
+      return this;
+    }
+
+    if (this.allowNegativeWeights && this.#hasNegativeRoutes()) {
+      this.logProcess(
+        this.loggingLevels.MIN,
+        new NegativeWeightsError(
+          "Dijkstra Algorithm doesn't support negative weights. Use findPathBellmanFord instead."
+        ),
+        true
+      );
+      return this;
+    }
+
+    const routes = this.#routesByMetric(metric);
+    if (routes === null) return this;
+
+    startNode = String(startNode);
+    const { nodes, parents, tableLog } = this.#runDijkstra(startNode, null, {
+      routes,
+    });
+
+    const distances = {};
+    const treeParents = {};
+    if (this.costsNodes[startNode] < Infinity) {
+      distances[startNode] = this.costsNodes[startNode];
+      for (const node in nodes) {
+        if (nodes[node] < Infinity) {
+          distances[node] = nodes[node];
+          treeParents[node] = parents[node];
+        }
+      }
+    }
+    const tree = new ShortestPathTree(
+      startNode,
+      distances,
+      treeParents,
+      (cost) => this.formatCost(cost)
+    );
+
+    const costs = {};
+    const paths = {};
+    for (const node in this.graph) {
+      costs[node] = tree.costTo(node);
+      paths[node] = tree.pathTo(node);
+    }
+
+    this.#tableLog = tableLog;
+    this.logProcess(this.loggingLevels.STEPS, tableLog);
+    return { costs, paths, tree };
+  };
+
+  /**
+   * Returns the cost of a path, including the toll cost of every node.
+   * @param {Array} path - The nodes of the path.
+   * @returns {Number} The cost of the path (Infinity if a route doesn't exist).
+   */
+  #pathCost = (path) => {
+    let cost = this.costsNodes[path[0]];
+    for (let i = 1; i < path.length; i++) {
+      if (!this.graph[path[i - 1]].hasOwnProperty(path[i])) return Infinity;
+      cost += this.graph[path[i - 1]][path[i]] + this.costsNodes[path[i]];
+    }
+    return cost;
+  };
+
+  /**
+   * Finds the k best (min weight) loopless paths using Yen's Algorithm.
+   * @param {string} startNode - The starting node of the paths.
+   * @param {string} endNode - The ending node of the paths.
+   * @param {Number} k - The maximum number of paths to find.
+   * @returns {Array} Up to k objects with path and calculated weight (distance), in increasing order of cost.
+   * @throws {GraphError} If isError is true and ignoreErrors is false, an error will be thrown in the following cases:
+   *   * If the starting node or the ending node doesn't exist in graph.
+   *   * If k isn't a positive integer.
+   */
+  findKShortestPaths = (startNode, endNode, k) => {
+    this.logProcess(this.loggingLevels.STEPS, "Starting Yen's Algorithm");
+
+    if (
+      startNode == null ||
+      endNode == null ||
+      !this.graph.hasOwnProperty(startNode) ||
+      !this.graph.hasOwnProperty(endNode)
+    ) {
+      this.logProcess(
+        this.loggingLevels.MIN,
+        new NodeNotFoundError(
+          "The starting/ending nodes specified doesn't exist in the graph yet.",
+          { nodes: this.#missingNodes(startNode, endNode) }
+        ),
+        true
+      );
+      return this;
+    }
+
+    if (!Number.isInteger(k) || k <= 0) {
+      this.logProcess(
+        this.loggingLevels.MIN,
+        new InvalidArgumentError(
+          `The number of paths must be a positive integer, received ${k}`,
+          { details: { k } }
+        ),
+        true
+      );
+      return this;
+    }
+
+    if (this.allowNegativeWeights && this.#hasNegativeRoutes()) {
+      this.logProcess(
+        this.loggingLevels.MIN,
+        new NegativeWeightsError(
+          "Yen's Algorithm doesn't support negative weights."
+        ),
+        true
+      );
+      return this;
+    }
+
+    startNode = String(startNode);
+    endNode = String(endNode);
+
+    const { nodes, parents, tableLog } = this.#runDijkstra(startNode, endNode);
+    this.#tableLog = tableLog;
+    if (!(nodes[endNode] < Infinity)) return [];
+
+    const shortestPaths = [
+      { cost: nodes[endNode], path: this.#pathFromParents(parents, endNode) },
+    ];
+    const candidates = new PriorityQueue();
+    const foundPaths = new Set([shortestPaths[0].path.join("\u0000")]);
+
+    while (shortestPaths.length < k) {
+      const previousPath = shortestPaths[shortestPaths.length - 1].path;
+
+      for (let i = 0; i < previousPath.length - 1; i++) {
+        const spurNode = previousPath[i];
+        const rootPath = previousPath.slice(0, i + 1);
+        const rootKey = rootPath.join("\u0000");
+
+        //Routes already used by a path with the same root and nodes of the root can't be used.
+        const removedRoutes = new Set();
+        shortestPaths.forEach(({ path }) => {
+          if (
+            path.length > i + 1 &&
+            path.slice(0, i + 1).join("\u0000") === rootKey
+          ) {
+            removedRoutes.add(path[i + 1]);
+          }
+        });
+        const removedNodes = new Set(rootPath.slice(0, -1));
+
+        const spur = this.#runDijkstra(spurNode, endNode, {
+          skipRoute: (node, adjNode) =>
+            removedNodes.has(adjNode) ||
+            (node === spurNode && removedRoutes.has(adjNode)),
+          logSteps: false,
+        });
+        if (!(spur.nodes[endNode] < Infinity)) continue;
+
+        const path = rootPath
+          .slice(0, -1)
+          .concat(this.#pathFromParents(spur.parents, endNode));
+        const pathKey = path.join("\u0000");
+        if (foundPaths.has(pathKey)) continue;
+        foundPaths.add(pathKey);
+        const cost = this.#pathCost(path);
+        if (cost < Infinity) candidates.push(path, cost);
+      }
+
+      if (candidates.isEmpty()) break;
+      const { value, priority } = candidates.pop();
+      shortestPaths.push({ cost: priority, path: value });
+      this.logProcess(
+        this.loggingLevels.STEPS,
+        `Path ${shortestPaths.length}: ${value.join(
+          " -> "
+        )}, Distance/Cost: ${priority}`
+      );
+    }
+
+    return shortestPaths.map(({ cost, path }) => ({
+      cost: this.formatCost(cost),
+      path,
+    }));
+  };
+
+  /**
+   * Finds the Pareto optimal (non-dominated) paths between two nodes, minimizing several metrics of the routes
+   * and the toll cost of the nodes at the same time.
+   * A path is dominated if another path isn't worse in any metric (or toll cost) and is better in at least one of them.
+   * @param {string} startNode - The starting node of the paths.
+   * @param {string} endNode - The ending node of the paths.
+   * @param {Array} metrics - Names of the metrics of the routes to minimize (at least two).
+   * @returns {Array} Objects {cost, path, metrics, tolls} with the cost formatted (weight and toll costs, as findPathDijkstra),
+   * the totals of every metric and the toll cost of the path, in increasing order of the first metric.
+   * @throws {GraphError} If isError is true and ignoreErrors is false, an error will be thrown in the following cases:
+   *   * If the starting node or the ending node doesn't exist in graph.
+   *   * If less than two metrics are specified.
+   */
+  findParetoPaths = (startNode, endNode, metrics) => {
+    this.logProcess(
+      this.loggingLevels.STEPS,
+      "Starting multi-objective label setting Algorithm"
+    );
+
+    if (
+      startNode == null ||
+      endNode == null ||
+      !this.graph.hasOwnProperty(startNode) ||
+      !this.graph.hasOwnProperty(endNode)
+    ) {
+      this.logProcess(
+        this.loggingLevels.MIN,
+        new NodeNotFoundError(
+          "The starting/ending nodes specified doesn't exist in the graph yet.",
+          { nodes: this.#missingNodes(startNode, endNode) }
+        ),
+        true
+      );
+      return this;
+    }
+
+    if (
+      !Array.isArray(metrics) ||
+      new Set(metrics).size < 2 ||
+      metrics.some((metric) => typeof metric !== "string" || metric === "")
+    ) {
+      this.logProcess(
+        this.loggingLevels.MIN,
+        new InvalidArgumentError(
+          `At least two different metrics are required, received ${JSON.stringify(
+            metrics
+          )}`,
+          { details: { metrics } }
+        ),
+        true
+      );
+      return this;
+    }
+
+    if (this.allowNegativeWeights && this.#hasNegativeRoutes()) {
+      this.logProcess(
+        this.loggingLevels.MIN,
+        new NegativeWeightsError(
+          "Pareto optimal paths don't support negative weights."
+        ),
+        true
+      );
+      return this;
+    }
+
+    startNode = String(startNode);
+    endNode = String(endNode);
+    metrics = [...new Set(metrics)];
+
+    //Every label is a path to a node, with the totals of the metrics and the toll cost as the last criterion.
+    const dominates = (a, b) =>
+      a.every((value, i) => value <= b[i]) &&
+      a.some((value, i) => value < b[i]);
+    const isDominated = (values, labels) =>
+      labels.some(
+        (label) =>
+          dominates(label.values, values) ||
+          label.values.every((value, i) => value === values[i])
+      );
+
+    const permanentLabels = {};
+    const frontier = new PriorityQueue();
+    const startCost = this.costsNodes[startNode];
+    if (startCost < Infinity) {
+      const values = metrics.map(() => 0).concat(startCost);
+      frontier.push(
+        { node: startNode, values, parent: null },
+        values.reduce((a, b) => a + b, 0)
+      );
+    }
+
+    while (!frontier.isEmpty()) {
+      const label = frontier.pop().value;
+      const labels = permanentLabels[label.node] || [];
+      if (isDominated(label.values, labels)) continue;
+      permanentLabels[label.node] = labels.concat(label);
+      if (label.node === endNode) continue;
+
+      for (const adjNode in this.graph[label.node]) {
+        //Skip route to beginning
+        if (adjNode === startNode) continue;
+        const values = metrics
+          .map(
+            (metric, i) =>
+              label.values[i] + this.#routeMetric(label.node, adjNode, metric)
+          )
+          .concat(label.values[metrics.length] + this.costsNodes[adjNode]);
+        if (!values.every((value) => value < Infinity)) continue;
+        if (isDominated(values, permanentLabels[adjNode] || [])) continue;
+        //Partial paths dominated by a path to the ending node can't become Pareto optimal.
+        if (isDominated(values, permanentLabels[endNode] || [])) continue;
+        frontier.push(
+          { node: adjNode, values, parent: label },
+          values.reduce((a, b) => a + b, 0)
+        );
+      }
+    }
+
+    const results = (permanentLabels[endNode] || []).map((label) => {
+      const path = [];
+      for (let step = label; step !== null; step = step.parent) {
+        path.unshift(step.node);
+      }
+      const totals = {};
+      metrics.forEach((metric, i) => {
+        totals[metric] = label.values[i];
+      });
+      return {
+        cost: this.formatCost(this.#pathCost(path)),
+        path,
+        metrics: totals,
+        tolls: label.values[metrics.length],
+      };
+    });
+    results.sort((a, b) => a.metrics[metrics[0]] - b.metrics[metrics[0]]);
+    this.logProcess(
+      this.loggingLevels.STEPS,
+      `Found ${results.length} Pareto optimal paths from ${startNode} to ${endNode}`
+    );
+    return results;
+  };
+
+  /**
+   * Finds the best (min weight) path using the A* Algorithm.
+   * @param {string} startNode - The starting node of the path.
+   * @param {string} endNode - The ending node of the path.
+   * @param {Object} [options] - Optional parameters of the search.
+   * @param {(string|Function)} [options.heuristic = "zero"] - Name of a built-in heuristic ("euclidean", "haversine", "zero")
+   * or function (node, endNode, graph) => estimation. The estimation must not exceed the weight of the routes to the ending node.
+   * @returns {Object} Object with path and calculated weight (distance), or {cost: Infinity, path: [], unreachable: true} if there isn't any path.
+   * @throws {GraphError} If isError is true and ignoreErrors is false, an error will be thrown in the following cases:
+   *   * If the starting node or the ending node doesn't exist in graph.
+   *   * If the heuristic isn't a function or a built-in heuristic.
+   */
+  findPathAStar = (startNode, endNode, { heuristic = "zero" } = {}) => {
+    const resultTableLog = {};
+    this.logProcess(this.loggingLevels.STEPS, "Starting A* Algorithm");
+
+    if (
+      startNode == null ||
+      endNode == null ||
+      !this.graph.hasOwnProperty(startNode) ||
+      !this.graph.hasOwnProperty(endNode)
+    ) {
+      this.logProcess(
+        this.loggingLevels.MIN,
+        new NodeNotFoundError(
+          "The starting/ending nodes specified doesn't exist in the graph yet.",
+          { nodes: this.#missingNodes(startNode, endNode) }
+        ),
+        true
+      );
+      return this;
+    }
+
+    startNode = String(startNode);
+    endNode = String(endNode);
+
+    if (Object.keys(this.graph[startNode]).length == 0) {
+      this.logProcess(
+        this.loggingLevels.MIN,
+        new NodeWithoutRoutesError(
+          "The starting node doesn't have any connections to another node.",
+          { nodes: [startNode] }
+        ),
+        true
+      );
+      return this;
+    }
+
+    const estimate =
+      typeof heuristic === "function"
+        ? heuristic
+        : Heuristics.hasOwnProperty(heuristic)
+        ? Heuristics[heuristic]
+        : null;
+    if (estimate === null) {
+      this.logProcess(
+        this.loggingLevels.MIN,
+        new InvalidArgumentError(
+          `Unknown heuristic ${heuristic}, expected function or one of: ${Object.keys(
+            Heuristics
+          ).join(", ")}`,
+          { details: { heuristic } }
+        ),
+        true
+      );
+      return this;
+    }
+
+    if (this.allowNegativeWeights && this.#hasNegativeRoutes()) {
+      this.logProcess(
+        this.loggingLevels.MIN,
+        new NegativeWeightsError(
+          "A* Algorithm doesn't support negative weights. Use findPathBellmanFord instead."
+        ),
+        true
+      );
+      return this;
+    }
+
+    //Every path that doesn't end at endNode still has to pay its toll.
+    const endNodeCost = Number.isFinite(this.costsNodes[endNode])
+      ? this.costsNodes[endNode]
+      : 0;
+    const estimations = {};
+    const remaining = (node) => {
+      if (node === endNode) return 0;
+      if (estimations[node] === undefined) {
+        estimations[node] =
+          Math.max(0, Number(estimate(node, endNode, this)) || 0) + endNodeCost;
+      }
+      return estimations[node];
+    };
+
+    const nodes = {};
+    const parents = {};
+    nodes[startNode] = this.costsNodes[startNode];
+
+    const frontier = new PriorityQueue();
+    frontier.push(
+      [startNode, nodes[startNode]],
+      nodes[startNode] + remaining(startNode)
+    );
+    const closed = new Set();
+
+    let iteration = 0;
+    while (!frontier.isEmpty()) {
+      const [node, cost] = frontier.pop().value;
+      if (closed.has(node) || cost !== nodes[node]) continue;
+
+      let updatedNodes = "";
+      let updatedCosts = "";
+      if (node !== endNode) {
+        for (const adjNode in this.graph[node]) {
+          //Skip route to beginning
+          if (adjNode === startNode) continue;
+          const new_cost =
+            cost + this.graph[node][adjNode] + this.costsNodes[adjNode];
+          if (nodes[adjNode] === undefined || new_cost < nodes[adjNode]) {
+            updatedNodes += `${adjNode}, `;
+            updatedCosts += `${new_cost}, `;
+            nodes[adjNode] = new_cost;
+            parents[adjNode] = node;
+            //Reopen the node if the heuristic wasn't consistent.
+            closed.delete(adjNode);
+            if (new_cost < Infinity) {
+              frontier.push([adjNode, new_cost], new_cost + remaining(adjNode));
+            }
+          }
+        }
+      }
+
+      if (iteration > 0) {
+        this.logProcess(
+          this.loggingLevels.STEPS,
+          `Visited: ${node}, Distance/Cost: ${cost}, Connection ${
+            parents[node] + " -> " + node
+          }`,
+          false,
+          `Iteration ${iteration}`
+        );
+      }
+      if (updatedNodes != "") {
+        this.logProcess(
+          this.loggingLevels.STEPS,
+          `Updated Nodes: ${updatedNodes.slice(
+            0,
+            -2
+          )}, Updated Cost Nodes: ${updatedCosts.slice(0, -2)}`,
+          false,
+          `Iteration ${iteration}`
+        );
+      }
+      resultTableLog[iteration] = new TableLog(
+        node,
+        cost,
+        iteration === 0 ? "-" : `${parents[node]} -> ${node}`,
+        updatedNodes.slice(0, -2),
+        updatedCosts.slice(0, -2)
+      );
+      iteration++;
+      closed.add(node);
+
+      if (node === endNode) break;
+    }
+
+    this.#tableLog = resultTableLog;
+    this.logProcess(this.loggingLevels.STEPS, resultTableLog);
+    if (nodes[endNode] === undefined || nodes[endNode] === Infinity)
+      return this.#unreachablePath(startNode, endNode);
+
+    let cheapestPath = [endNode];
+    let parent = parents[endNode];
+    while (parent) {
+      cheapestPath.unshift(parent);
+      parent = parents[parent];
+    }
+
+    return {
+      cost: this.formatCost(nodes[endNode]),
+      path: cheapestPath,
+    };
+  };
+
+  /**
+   * Returns true if any route of the graph has a negative weight.
+   * @returns {boolean} If the graph has negative routes.
+   */
+  #hasNegativeRoutes = () => {
+    for (const node in this.graph) {
+      for (const adjNode in this.graph[node]) {
+        if (this.graph[node][adjNode] < 0) return true;
+      }
+    }
+    return false;
+  };
+
+  /**
+   * Finds the cycle that contains (or leads to) a node relaxed after |V| - 1 iterations.
+   * @param {Object} parents - The parent of each node.
+   * @param {string} node - The node relaxed in the extra iteration.
+   * @returns {Array} The nodes of the cycle, starting and ending with the same node.
+   */
+  #findNegativeCycle = (parents, node) => {
+    //Walk back |V| times to make sure the node is inside the cycle.
+    for (let i = 0; i < Object.keys(this.graph).length; i++) {
+      node = parents[node];
+    }
+    const cycle = [node];
+    let parent = parents[node];
+    while (parent !== node) {
+      cycle.unshift(parent);
+      parent = parents[parent];
+    }
+    cycle.unshift(node);
+    return cycle;
+  };
+
+  /**
+   * Finds the best (min weight) path using the Bellman-Ford Algorithm, which supports negative weights.
+   * @param {string} startNode - The starting node of the path.
+   * @param {string} endNode - The ending node of the path.
+   * @returns {Object} Object with path and calculated weight (distance), or {cost: Infinity, path: [], unreachable: true} if there isn't any path.
+   * If a negative cycle is reachable from the starting node, the object includes the nodes of the cycle (negativeCycle).
+   * @throws {GraphError} If isError is true and ignoreErrors is false, an error will be thrown in the following cases:
+   *   * If the starting node or the ending node doesn't exist in graph.
+   *   * If a negative cycle is reachable from the starting node.
+   */
+  findPathBellmanFord = (startNode, endNode) => {
+    const resultTableLog = {};
+    this.logProcess(
+      this.loggingLevels.STEPS,
+      "Starting Bellman-Ford Algorithm"
+    );
+
+    if (
+      startNode == null ||
+      endNode == null ||
+      !this.graph.hasOwnProperty(startNode) ||
+      !this.graph.hasOwnProperty(endNode)
+    ) {
+      this.logProcess(
+        this.loggingLevels.MIN,
+        new NodeNotFoundError(
+          "The starting/ending nodes specified doesn't exist in the graph yet.",
+          { nodes: this.#missingNodes(startNode, endNode) }
+        ),
+        true
+      );
+      return this;
+    }
+
+    startNode = String(startNode);
+    endNode = String(endNode);
+
+    if (Object.keys(this.graph[startNode]).length == 0) {
+      this.logProcess(
+        this.loggingLevels.MIN,
+        new NodeWithoutRoutesError(
+          "The starting node doesn't have any connections to another node.",
+          { nodes: [startNode] }
+        ),
+        true
+      );
+      return this;
+    }
+
+    const nodes = {};
+    const parents = {};
+    for (const node in this.graph) {
+      nodes[node] = Infinity;
+    }
+    nodes[startNode] = this.costsNodes[startNode];
+
+    let logIndex = 0;
+    const totalNodes = Object.keys(this.graph).length;
+    let relaxedNode = null;
+
+    //|V| - 1 iterations find the paths, the extra iteration detects negative cycles.
+    for (let iteration = 1; iteration <= totalNodes; iteration++) {
+      relaxedNode = null;
+      for (const node in this.graph) {
+        if (nodes[node] === Infinity) continue;
+        let updatedNodes = "";
+        let updatedCosts = "";
+        for (const adjNode in this.graph[node]) {
+          const new_cost =
+            nodes[node] + this.graph[node][adjNode] + this.costsNodes[adjNode];
+          if (new_cost < nodes[adjNode]) {
+            updatedNodes += `${adjNode}, `;
+            updatedCosts += `${new_cost}, `;
+            nodes[adjNode] = new_cost;
+            parents[adjNode] = node;
+            relaxedNode = adjNode;
+          }
+        }
+        if (updatedNodes != "") {
+          this.logProcess(
+            this.loggingLevels.STEPS,
+            `Visited: ${node}, Updated Nodes: ${updatedNodes.slice(
+              0,
+              -2
+            )}, Updated Cost Nodes: ${updatedCosts.slice(0, -2)}`,
+            false,
+            `Iteration ${iteration}`
+          );
+        }
+        if (iteration < totalNodes) {
+          resultTableLog[logIndex++] = new TableLog(
+            node,
+            nodes[node],
+            node === startNode
+              ? "-"
+              : parents[node] === undefined
+              ? "None"
+              : `${parents[node]} -> ${node}`,
+            updatedNodes.slice(0, -2),
+            updatedCosts.slice(0, -2)
+          );
+        }
+      }
+      if (relaxedNode === null) break;
+    }
+
+    this.#tableLog = resultTableLog;
+
+    if (relaxedNode !== null) {
+      const negativeCycle = this.#findNegativeCycle(parents, relaxedNode);
+      this.logProcess(
+        this.loggingLevels.MIN,
+        new NegativeCycleError(
+          `Negative cycle reachable from ${startNode}: ${negativeCycle.join(
+            " -> "
+          )}`,
+          { nodes: negativeCycle, details: { cycle: negativeCycle } }
+        ),
+        true
+      );
+      return {
+        cost: this.formatCost(-Infinity),
+        path: [],
+        negativeCycle,
+      };
+    }
+
+    this.logProcess(this.loggingLevels.STEPS, resultTableLog);
+    if (nodes[endNode] === Infinity)
+      return this.#unreachablePath(startNode, endNode);
+
+    let cheapestPath = [endNode];
+    let parent = parents[endNode];
+    while (parent !== undefined && parent !== startNode) {
+      cheapestPath.unshift(parent);
+      parent = parents[parent];
+    }
+    if (parent === startNode && endNode !== startNode)
+      cheapestPath.unshift(parent);
+
+    return {
+      cost: this.formatCost(nodes[endNode]),
+      path: cheapestPath,
+    };
+  };
+
+  /**
+   * Finds the distance and precedence matrix using the Floyd Warshall Algorithm
+   * @returns {Array} [distanceMatrix, precedenceMatrix] for the graph.
+   * @throws {GraphError} If isError is true and ignoreErrors is false, an error will be thrown if there are negative cycles (the matrices are discarded).
+   */
+  findMatricesFloydWarshall = () => {
+    let arrayOfNodes = [];
+    let dist = {};
+    let precedenceMatrix = {};
+    for (const node in this.graph) {
+      arrayOfNodes.push(node);
+    }
+    arrayOfNodes = arrayOfNodes.sort();
+    arrayOfNodes.forEach((i) => {
+      dist[i] = {};
+      precedenceMatrix[i] = {};
+    });
+    arrayOfNodes.forEach((i) =>
+      arrayOfNodes.forEach((j) => {
+        precedenceMatrix[i][j] = i;
+        if (i === j) dist[i][j] = 0;
+        else dist[i][j] = this.#routeCostFloydWarshall(i, j);
+      })
+    );
+
+    let iteration = 0;
+
+    this.logProcess(
+      this.loggingLevels.STEPS,
+      dist,
+      false,
+      `Iteration ${iteration}`
+    );
+
+    arrayOfNodes.forEach((middleNode) => {
+      arrayOfNodes.forEach((startNode) => {
+        if (middleNode === startNode) return;
+        arrayOfNodes.forEach((endNode) => {
+          if (middleNode === endNode) return;
+          else if (startNode === endNode) return;
+
+          const throughMiddle =
+            dist[startNode][middleNode] +
+            dist[middleNode][endNode] +
+            (middleNode != startNode && middleNode != endNode
+              ? 0
+              : this.costsNodes[middleNode]);
+          if (dist[startNode][endNode] > throughMiddle) {
+            dist[startNode][endNode] = throughMiddle;
+            precedenceMatrix[startNode][endNode] = middleNode;
+          }
+        });
+      });
+
+      iteration++;
+      this.logProcess(
+        this.loggingLevels.STEPS,
+        dist,
+        false,
+        `Iteration ${iteration}`
+      );
+      this.logProcess(
+        this.loggingLevels.STEPS,
+        precedenceMatrix,
+        false,
+        `Iteration ${iteration}`
+      );
+    });
+
+    //A node is in a negative cycle if going to another node and coming back costs less than 0.
+    const negativeCycleNodes = arrayOfNodes.filter((node) =>
+      arrayOfNodes.some(
+        (adjNode) => dist[node][adjNode] + dist[adjNode][node] < 0
+      )
+    );
+    if (negativeCycleNodes.length > 0) {
+      this.#distanceMatrix = null;
+      this.#precedenceMatrix = null;
+      this.#rawDistances = null;
+      this.logProcess(
+        this.loggingLevels.MIN,
+        new NegativeCycleError(
+          `Floyd-Warshall Algorithm can't find the matrices, there are negative cycles through: ${negativeCycleNodes.join(
+            ", "
+          )}. Use findPathBellmanFord instead.`,
+          { nodes: negativeCycleNodes }
+        ),
+        true
+      );
+      return this;
+    }
+
+    this.#rawDistances = {};
+    arrayOfNodes.forEach(
+      (row) => (this.#rawDistances[row] = Object.assign({}, dist[row]))
+    );
+    arrayOfNodes.forEach((row) => {
+      if (this.costsNodes[row] > 0) {
+        arrayOfNodes.forEach((col) => {
+          if (row !== col && dist[row][col] < Infinity) {
+            dist[row][col] += this.costsNodes[row];
+          }
+        });
+      }
+    });
+
+    if (this.costFormat != null) {
+      arrayOfNodes.forEach((row) => {
+        arrayOfNodes.forEach((col) => {
+          dist[row][col] = this.formatCost(dist[row][col]);
+        });
+      });
+    }
+
+    this.#tableLog = dist;
+    this.#distanceMatrix = dist;
+    this.#precedenceMatrix = precedenceMatrix;
+    this.#matricesVersion = this.#version;
+    return [dist, precedenceMatrix];
+  };
+
+  /**
+   * Checks that the matrices of the Floyd Warshall Algorithm are up to date with the graph (same mutation version).
+   * Outdated matrices are recomputed or rejected depending on this.staleMatrices.
+   * @returns {boolean} If the matrices can be used (true if they haven't been computed, which is checked by each algorithm).
+   * @throws {GraphError} If isError is true and ignoreErrors is false, an error will be thrown if the matrices are outdated and this.staleMatrices is "reject".
+   */
+  #checkMatricesVersion = () => {
+    if (this.#distanceMatrix == null || this.#matricesVersion === this.#version)
+      return true;
+    if (this.staleMatrices === StaleMatricesPolicies.RECOMPUTE) {
+      this.logProcess(
+        this.loggingLevels.STEPS,
+        `The graph changed after findMatricesFloydWarshall (version ${
+          this.#matricesVersion
+        } -> ${this.#version}), recomputing the matrices`
+      );
+      this.findMatricesFloydWarshall();
+      return this.#distanceMatrix != null;
+    }
+    this.logProcess(
+      this.loggingLevels.MIN,
+      new OutdatedMatricesError(
+        `Precedence Matrix and Distance Matrix are outdated (computed for version ${
+          this.#matricesVersion
+        }, current version ${
+          this.#version
+        }). Run findMatricesFloydWarshall again`,
+        {
+          details: {
+            matricesVersion: this.#matricesVersion,
+            version: this.#version,
+          },
+        }
+      ),
+      true
+    );
+    return false;
+  };
+
+  /**
+   * Returns the cost of a route in the matrices of the Floyd Warshall Algorithm: its weight plus the cost of its ending node.
+   * @param {string} startNode - The starting node of the route.
+   * @param {string} endNode - The ending node of the route.
+   * @returns {Number} The cost of the route (it can be 0 or negative if the graph allows negative weights),
+   * Infinity if it doesn't exist, it's avoided or the ending node doesn't have a cost.
+   */
+  #routeCostFloydWarshall = (startNode, endNode) => {
+    if (
+      !this.graph.hasOwnProperty(startNode) ||
+      !this.graph[startNode].hasOwnProperty(endNode)
+    )
+      return Infinity;
+    const cost = this.graph[startNode][endNode] + this.costsNodes[endNode];
+    return Number.isNaN(cost) ? Infinity : cost;
+  };
+
+  /**
+   * Updates the matrices of the Floyd Warshall Algorithm after a change of the graph, instead of running the whole algorithm again.
+   * Decreased costs and new routes are relaxed in O(V^2). Increased costs, deleted routes and nodes, and avoided routes and nodes
+   * only recompute the rows of the starting nodes whose cheapest paths used them.
+   * @param {Object} change - The change made to the graph, one of:
+   *   * {type: "addNode", node}
+   *   * {type: "deleteNode", node}, once the node and its routes are deleted.
+   *   * {type: "route", from, to, previousCost}, with the previous cost of the route ( @see #routeCostFloydWarshall ).
+   *   * {type: "nodeCost", node, previousCost}
+   * @returns {boolean} If the matrices were updated (false if the graph allows negative weights, then they become outdated).
+   */
+  #updateMatrices = (change) => {
+    if (this.allowNegativeWeights) return false;
+    const dist = this.#rawDistances;
+    const precedenceMatrix = this.#precedenceMatrix;
+    let rowsToRepair = [];
+    if (change.type === "addNode") {
+      dist[change.node] = {};
+      precedenceMatrix[change.node] = {};
+      for (const node in dist) {
+        dist[node][change.node] = Infinity;
+        dist[change.node][node] = Infinity;
+        precedenceMatrix[node][change.node] = node;
+        precedenceMatrix[change.node][node] = change.node;
+      }
+      dist[change.node][change.node] = 0;
+    } else if (change.type === "deleteNode") {
+      rowsToRepair = this.#rowsThroughNode(change.node);
+      delete dist[change.node];
+      delete precedenceMatrix[change.node];
+      delete this.#distanceMatrix[change.node];
+      for (const node in dist) {
+        delete dist[node][change.node];
+        delete precedenceMatrix[node][change.node];
+        delete this.#distanceMatrix[node][change.node];
+      }
+    } else if (change.type === "route") {
+      const { from, to, previousCost } = change;
+      const cost = this.#routeCostFloydWarshall(from, to);
+      if (cost < previousCost) this.#relaxRoute(from, to, cost);
+      else if (cost > previousCost)
+        rowsToRepair = this.#rowsThroughRoute(from, to, previousCost);
+    } else if (change.type === "nodeCost") {
+      const { node, previousCost } = change;
+      const cost = this.costsNodes[node];
+      if (Number.isFinite(previousCost) && Number.isFinite(cost)) {
+        //Every path to the node changes by the same amount, so it's still the cheapest one.
+        if (cost > previousCost) rowsToRepair = this.#rowsThroughNode(node);
+        for (const startNode in dist) {
+          if (startNode !== node && dist[startNode][node] < Infinity)
+            dist[startNode][node] += cost - previousCost;
+        }
+        if (cost < previousCost) this.#relaxNode(node);
+      } else if (Number.isFinite(previousCost)) {
+        rowsToRepair = this.#rowsThroughNode(node);
+        for (const startNode in dist) {
+          if (startNode === node) continue;
+          dist[startNode][node] = Infinity;
+          precedenceMatrix[startNode][node] = startNode;
+        }
+      } else if (Number.isFinite(cost)) {
+        this.#getReverseGraph()[node].forEach((previousNode) =>
+          this.#relaxRoute(
+            previousNode,
+            node,
+            this.#routeCostFloydWarshall(previousNode, node)
+          )
+        );
+      }
+    }
+    rowsToRepair.forEach((startNode) => this.#repairMatricesRow(startNode));
+
+    for (const row in dist) {
+      if (!this.#distanceMatrix.hasOwnProperty(row))
+        this.#distanceMatrix[row] = {};
+      for (const col in dist[row]) {
+        let cost = dist[row][col];
+        if (this.costsNodes[row] > 0 && cost > 0 && cost < Infinity)
+          cost += this.costsNodes[row];
+        this.#distanceMatrix[row][col] =
+          this.costFormat != null ? this.formatCost(cost) : cost;
+      }
+    }
+    this.logProcess(
+      this.loggingLevels.STEPS,
+      `Updated Precedence Matrix and Distance Matrix after the change of the graph (${
+        change.type
+      } ${change.node != null ? change.node : change.from + " - " + change.to})`
+    );
+    return true;
+  };
+
+  /**
+   * Relaxes the matrices of the Floyd Warshall Algorithm with a route whose cost decreased (or a new route), in O(V^2).
+   * @param {string} startNode - The starting node of the route.
+   * @param {string} endNode - The ending node of the route.
+   * @param {Number} cost - The new cost of the route.
+   */
+  #relaxRoute = (startNode, endNode, cost) => {
+    const dist = this.#rawDistances;
+    const precedenceMatrix = this.#precedenceMatrix;
+    const improvedNodes = [];
+    for (const node in dist) {
+      if (node === startNode) continue;
+      const throughRoute = cost + (node === endNode ? 0 : dist[endNode][node]);
+      if (throughRoute < dist[startNode][node]) {
+        dist[startNode][node] = throughRoute;
+        precedenceMatrix[startNode][node] =
+          node === endNode ? startNode : endNode;
+        improvedNodes.push(node);
+      }
+    }
+    for (const node in dist) {
+      if (node === startNode || dist[node][startNode] === Infinity) continue;
+      improvedNodes.forEach((improvedNode) => {
+        if (improvedNode === node) return;
+        const throughStart =
+          dist[node][startNode] + dist[startNode][improvedNode];
+        if (throughStart < dist[node][improvedNode]) {
+          dist[node][improvedNode] = throughStart;
+          precedenceMatrix[node][improvedNode] = startNode;
+        }
+      });
+    }
+  };
+
+  /**
+   * Relaxes the matrices of the Floyd Warshall Algorithm with a node whose cost decreased, in O(V^2).
+   * The paths to the node must be already updated.
+   * @param {string} middleNode - The node.
+   */
+  #relaxNode = (middleNode) => {
+    const dist = this.#rawDistances;
+    for (const startNode in dist) {
+      if (startNode === middleNode || dist[startNode][middleNode] === Infinity)
+        continue;
+      for (const endNode in dist) {
+        if (endNode === startNode || endNode === middleNode) continue;
+        const throughMiddle =
+          dist[startNode][middleNode] + dist[middleNode][endNode];
+        if (throughMiddle < dist[startNode][endNode]) {
+          dist[startNode][endNode] = throughMiddle;
+          this.#precedenceMatrix[startNode][endNode] = middleNode;
+        }
+      }
+    }
+  };
+
+  /**
+   * Returns if a cost through a route or node is one of the cheapest in the matrices of the Floyd Warshall Algorithm,
+   * allowing rounding differences in the sums.
+   * @param {Number} cost - The cost through the route or node.
+   * @param {Number} cheapestCost - The cost in the distance matrix.
+   * @returns {boolean} If the cost is the cheapest one.
+   */
+  #isCheapestCost = (cost, cheapestCost) =>
+    cost <= cheapestCost + Math.abs(cheapestCost) * 1e-9 + 1e-9;
+
+  /**
+   * Finds the starting nodes with a cheapest path that uses a route, before its cost increases or it's deleted.
+   * @param {string} startNode - The starting node of the route.
+   * @param {string} endNode - The ending node of the route.
+   * @param {Number} cost - The previous cost of the route.
+   * @returns {Array} The starting nodes.
+   */
+  #rowsThroughRoute = (startNode, endNode, cost) => {
+    const dist = this.#rawDistances;
+    if (!this.#isCheapestCost(cost, dist[startNode][endNode])) return [];
+    return Object.keys(dist).filter((node) => {
+      const toRoute = cost + (node === startNode ? 0 : dist[node][startNode]);
+      if (toRoute === Infinity) return false;
+      for (const otherNode in dist) {
+        if (
+          otherNode !== node &&
+          this.#isCheapestCost(
+            toRoute + (otherNode === endNode ? 0 : dist[endNode][otherNode]),
+            dist[node][otherNode]
+          )
+        )
+          return true;
+      }
+      return false;
+    });
+  };
+
+  /**
+   * Finds the starting nodes with a cheapest path that goes through a node, before its cost increases or it's deleted.
+   * @param {string} middleNode - The node.
+   * @returns {Array} The starting nodes.
+   */
+  #rowsThroughNode = (middleNode) => {
+    const dist = this.#rawDistances;
+    return Object.keys(dist).filter((node) => {
+      if (node === middleNode || dist[node][middleNode] === Infinity)
+        return false;
+      for (const otherNode in dist) {
+        if (
+          otherNode !== node &&
+          otherNode !== middleNode &&
+          this.#isCheapestCost(
+            dist[node][middleNode] + dist[middleNode][otherNode],
+            dist[node][otherNode]
+          )
+        )
+          return true;
+      }
+      return false;
+    });
+  };
+
+  /**
+   * Recomputes a row of the matrices of the Floyd Warshall Algorithm with the Dijkstra Algorithm.
+   * @param {string} startNode - The starting node of the row.
+   */
+  #repairMatricesRow = (startNode) => {
+    const nodes = { [startNode]: 0 };
+    const parents = {};
+    const visited = new Set();
+    const frontier = new PriorityQueue();
+    let node = startNode;
+    while (node !== null) {
+      visited.add(node);
+      for (const adjNode in this.graph[node]) {
+        const cost = nodes[node] + this.#routeCostFloydWarshall(node, adjNode);
+        if (
+          !visited.has(adjNode) &&
+          cost < (nodes.hasOwnProperty(adjNode) ? nodes[adjNode] : Infinity)
+        ) {
+          nodes[adjNode] = cost;
+          parents[adjNode] = node;
+          frontier.push(adjNode, cost);
+        }
+      }
+      node = this.#nextFrontierNode(frontier, nodes, visited);
+    }
+    for (const endNode in this.#rawDistances) {
+      if (endNode === startNode) continue;
+      const reachable = parents.hasOwnProperty(endNode);
+      this.#rawDistances[startNode][endNode] = reachable
+        ? nodes[endNode]
+        : Infinity;
+      this.#precedenceMatrix[startNode][endNode] = reachable
+        ? parents[endNode]
+        : startNode;
+    }
+  };
+
+  /**
+   * Find the cheapest path between two nodes using FloydWarshall Matrices.
+   * @param {string} startNode - The starting node of the path.
+   * @param {string} endNode - The ending node of the path.
+   * @returns {Object} Object with path and calculated weight (distance), or {cost: Infinity, path: [], unreachable: true} if there isn't any path.
+   * @throws {GraphError} If isError is true and ignoreErrors is false, an error will be thrown in the following cases:
+   *   * If the Floyd Warshall Algorithm hasn't been executed previously.
+   *   * If the matrices are outdated and this.staleMatrices is "reject".
+   *   * If the starting node or the ending node doesn't exist in graph.
+   */
+  findPathFloydWarshall = (startNode, endNode) => {
+    const end = endNode;
+    if (this.precedenceMatrix == null || this.distanceMatrix == null) {
+      this.logProcess(
+        this.loggingLevels.ALL,
+        new MatricesNotComputedError(
+          "Precedence Matrix and Distance Matrix are required to find the path. Firstly run findMatricesFloydWarshall"
+        ),
+        true
+      );
+    }
+    if (!this.#checkMatricesVersion()) return this;
+    if (
+      startNode == null ||
+      endNode == null ||
+      !this.graph.hasOwnProperty(startNode) ||
+      !this.graph.hasOwnProperty(endNode)
+    ) {
+      this.logProcess(
+        this.loggingLevels.MIN,
+        new NodeNotFoundError(
+          "The starting/ending nodes specified doesn't exist in the graph yet.",
+          { nodes: this.#missingNodes(startNode, endNode) }
+        ),
+        true
+      );
+      return this;
+    }
+
+    if (Object.keys(this.graph[startNode]).length == 0) {
+      this.logProcess(
+        this.loggingLevels.MIN,
+        new NodeWithoutRoutesError(
+          "The starting node doesn't have any connections to another node.",
+          { nodes: [startNode] }
+        ),
+        true
+      );
+      return this;
+    }
+
+    if (this.#rawDistances[startNode][endNode] === Infinity)
+      return this.#unreachablePath(startNode, endNode);
+
+    return {
+      cost: this.distanceMatrix[startNode][end],
+      path: this.#floydWarshallPath(String(startNode), String(endNode)),
+    };
+  };
+
+  /**
+   * Builds the path between two nodes following the precedence matrix of the Floyd Warshall Algorithm,
+   * where each entry is the last middle node of the cheapest path (or the starting node for direct routes).
+   * @param {string} startNode - The starting node of the path.
+   * @param {string} endNode - The ending node of the path.
+   * @returns {Array} The nodes of the path.
+   */
+  #floydWarshallPath = (startNode, endNode) => {
+    if (startNode === endNode) return [startNode];
+    const path = [startNode];
+    const pendingNodes = [endNode];
+    let node = startNode;
+    while (pendingNodes.length > 0) {
+      const nextNode = pendingNodes[pendingNodes.length - 1];
+      const middleNode = this.#precedenceMatrix[node][nextNode];
+      if (middleNode === node) {
+        path.push(nextNode);
+        node = nextNode;
+        pendingNodes.pop();
+      } else pendingNodes.push(middleNode);
+    }
+    return path;
+  };
+
+  /**
+   * Finds the cheapest order to visit some nodes using the Held-Karp Algorithm.
+   * @param {string} startNode - The starting node.
+   * @param {Array} nodes - The nodes to visit, in any order.
+   * @param {string} endNode - The ending node, visited after every node (or null to end at the last visited node).
+   * @param {Function} legCost - Function (node, nextNode) => cost to go from a node to the next one.
+   * @returns {Array} The nodes in the cheapest visiting order.
+   */
+  #bestVisitingOrder = (startNode, nodes, endNode, legCost) => {
+    const count = nodes.length;
+    if (count === 0) return [];
+    const fullSet = (1 << count) - 1;
+    //costs[set][i]: cheapest cost from the starting node visiting the set and ending at nodes[i].
+    const costs = [];
+    const parents = [];
+    for (let set = 0; set <= fullSet; set++) {
+      costs.push(new Array(count).fill(Infinity));
+      parents.push(new Array(count).fill(-1));
+    }
+    for (let i = 0; i < count; i++) {
+      costs[1 << i][i] = legCost(startNode, nodes[i]);
+    }
+    for (let set = 1; set <= fullSet; set++) {
+      for (let i = 0; i < count; i++) {
+        if (!(set & (1 << i)) || costs[set][i] === Infinity) continue;
+        for (let j = 0; j < count; j++) {
+          if (set & (1 << j)) continue;
+          const nextSet = set | (1 << j);
+          const cost = costs[set][i] + legCost(nodes[i], nodes[j]);
+          if (cost < costs[nextSet][j]) {
+            costs[nextSet][j] = cost;
+            parents[nextSet][j] = i;
+          }
+        }
+      }
+    }
+    let last = 0;
+    let bestCost = Infinity;
+    for (let i = 0; i < count; i++) {
+      const cost =
+        costs[fullSet][i] + (endNode === null ? 0 : legCost(nodes[i], endNode));
+      if (cost < bestCost) {
+        bestCost = cost;
+        last = i;
+      }
+    }
+    //Every order is unreachable.
+    if (bestCost === Infinity) return nodes.slice();
+    const order = [];
+    let set = fullSet;
+    while (last !== -1) {
+      order.unshift(nodes[last]);
+      const previous = parents[set][last];
+      set &= ~(1 << last);
+      last = previous;
+    }
+    return order;
+  };
+
+  /**
+   * Finds the visiting order of some nodes using the nearest neighbour heuristic, improved with the 2-opt heuristic.
+   * @param {string} startNode - The starting node.
+   * @param {Array} nodes - The nodes to visit, in any order.
+   * @param {string} endNode - The ending node, visited after every node (or null to end at the last visited node).
+   * @param {Function} legCost - Function (node, nextNode) => cost to go from a node to the next one.
+   * @returns {Array} The nodes in a cheap (not necessarily the cheapest) visiting order.
+   */
+  #heuristicVisitingOrder = (startNode, nodes, endNode, legCost) => {
+    const orderCost = (order) => {
+      let cost = 0;
+      let node = startNode;
+      order.forEach((nextNode) => {
+        cost += legCost(node, nextNode);
+        node = nextNode;
+      });
+      return endNode === null ? cost : cost + legCost(node, endNode);
+    };
+
+    //Nearest neighbour: visit the cheapest unvisited node from the last one.
+    let order = [];
+    const pending = nodes.slice();
+    let node = startNode;
+    while (pending.length > 0) {
+      let nearest = 0;
+      for (let i = 1; i < pending.length; i++) {
+        if (legCost(node, pending[i]) < legCost(node, pending[nearest]))
+          nearest = i;
+      }
+      node = pending.splice(nearest, 1)[0];
+      order.push(node);
+    }
+
+    //2-opt: reverse segments of the order while the cost decreases (routes may be directed, so the whole order is evaluated).
+    let bestCost = orderCost(order);
+    let improved = true;
+    while (improved) {
+      improved = false;
+      for (let i = 0; i < order.length - 1; i++) {
+        for (let j = i + 1; j < order.length; j++) {
+          const candidate = order
+            .slice(0, i)
+            .concat(order.slice(i, j + 1).reverse(), order.slice(j + 1));
+          const cost = orderCost(candidate);
+          if (cost < bestCost) {
+            bestCost = cost;
+            order = candidate;
+            improved = true;
+          }
+        }
+      }
+    }
+    return order;
+  };
+
+  /**
+   * Returns a function that finds the cheapest path between two nodes (a leg of a longer path), caching the results.
+   * The cost of a leg doesn't include the toll cost of its starting node, charged by the previous leg.
+   * @param {boolean} useFloydWarshall - If true, the legs are found with the matrices of the Floyd Warshall Algorithm.
+   * Otherwise, the Dijkstra Algorithm is executed once from each starting node of a leg.
+   * @returns {Function} Function (node, nextNode) => {cost, path}, with cost Infinity and an empty path if the leg is unreachable.
+   */
+  #legFinder = (useFloydWarshall) => {
+    const searches = {};
+    const foundLegs = {};
+    const searchLeg = (node, nextNode) => {
+      if (node === nextNode) return { cost: 0, path: [node] };
+      let path;
+      if (useFloydWarshall) {
+        path = this.#floydWarshallPath(node, nextNode);
+      } else {
+        if (!searches.hasOwnProperty(node)) {
+          searches[node] = this.#runDijkstra(node, null, { logSteps: false });
+        }
+        path = searches[node].nodes.hasOwnProperty(nextNode)
+          ? this.#pathFromParents(searches[node].parents, nextNode)
+          : [];
+      }
+      const cost = path.length > 0 ? this.#pathCost(path) : Infinity;
+      return cost === Infinity
+        ? { cost: Infinity, path: [] }
+        : { cost: cost - this.costsNodes[node], path };
+    };
+    return (node, nextNode) => {
+      if (!foundLegs.hasOwnProperty(node)) foundLegs[node] = {};
+      if (!foundLegs[node].hasOwnProperty(nextNode)) {
+        foundLegs[node][nextNode] = searchLeg(node, nextNode);
+      }
+      return foundLegs[node][nextNode];
+    };
+  };
+
+  /**
+   * Joins the legs between consecutive stops into a single path.
+   * @param {Array} stops - The nodes visited by the path, in order.
+   * @param {Function} findLeg - Function (node, nextNode) => {cost, path} ( @see #legFinder ).
+   * @returns {Object} Object {cost, path, legs} with the total cost, the full path (empty if a leg is unreachable) and the cost and path of every leg.
+   */
+  #joinLegs = (stops, findLeg) => {
+    const legs = [];
+    let totalCost = 0;
+    let path = [stops[0]];
+    for (let i = 1; i < stops.length; i++) {
+      const leg = findLeg(stops[i - 1], stops[i]);
+      //The first leg also charges the toll cost of the starting node.
+      const cost = leg.cost + (i === 1 ? this.costsNodes[stops[0]] : 0);
+      totalCost += cost;
+      path = path.concat(leg.path.slice(1));
+      legs.push({
+        from: stops[i - 1],
+        to: stops[i],
+        cost: this.formatCost(cost),
+        path: leg.path,
+      });
+    }
+    return {
+      cost: this.formatCost(totalCost),
+      path: totalCost === Infinity ? [] : path,
+      legs,
+    };
+  };
+
+  /**
+   * Finds the best (min weight) path between two nodes that visits some nodes (waypoints), joining the cheapest path between each pair of consecutive nodes.
+   * The toll cost of a node is charged once per visit, even if a leg ends and the next one starts on it.
+   * @param {string} startNode - The starting node of the path.
+   * @param {Array} waypoints - The nodes the path must visit.
+   * @param {string} endNode - The ending node of the path.
+   * @param {Object} [options] - Optional parameters of the search.
+   * @param {boolean} [options.keepOrder = false] - If true, the waypoints are visited in the given order. Otherwise, the cheapest order is used
+   * for up to 12 waypoints (Held-Karp Algorithm), and a cheap order is found with the nearest neighbour and 2-opt heuristics for more waypoints.
+   * @param {boolean} [options.useFloydWarshall = false] - If true, the legs are found with the matrices of the Floyd Warshall Algorithm
+   * (findMatricesFloydWarshall must be executed first). Otherwise, the Dijkstra Algorithm is executed from the starting node and every waypoint.
+   * @returns {Object} Object {cost, path, order, legs} with the total cost, the full path, the waypoints in visiting order and the cost and path of every leg.
+   * If a leg is unreachable, its cost and the total cost are Infinity and its path and the full path are empty.
+   * @throws {GraphError} If isError is true and ignoreErrors is false, an error will be thrown in the following cases:
+   *   * If the starting node, the ending node or any waypoint doesn't exist in graph.
+   *   * If useFloydWarshall is true and the Floyd Warshall Algorithm hasn't been executed previously.
+   *   * If the matrices are outdated and this.staleMatrices is "reject".
+   *   * If useFloydWarshall is false and the graph has negative weights.
+   */
+  findPathVia = (
+    startNode,
+    waypoints,
+    endNode,
+    { keepOrder = false, useFloydWarshall = false } = {}
+  ) => {
+    this.logProcess(this.loggingLevels.STEPS, "Starting via-node search");
+
+    if (
+      startNode == null ||
+      endNode == null ||
+      !this.graph.hasOwnProperty(startNode) ||
+      !this.graph.hasOwnProperty(endNode)
+    ) {
+      this.logProcess(
+        this.loggingLevels.MIN,
+        new NodeNotFoundError(
+          "The starting/ending nodes specified doesn't exist in the graph yet.",
+          { nodes: this.#missingNodes(startNode, endNode) }
+        ),
+        true
+      );
+      return this;
+    }
+
+    if (!Array.isArray(waypoints)) {
+      this.logProcess(
+        this.loggingLevels.MIN,
+        new InvalidArgumentError("The waypoints must be an array of nodes.", {
+          details: { waypoints },
+        }),
+        true
+      );
+      return this;
+    }
+
+    const missingWaypoints = waypoints.filter(
+      (waypoint) => waypoint == null || !this.graph.hasOwnProperty(waypoint)
+    );
+    if (missingWaypoints.length > 0) {
+      this.logProcess(
+        this.loggingLevels.MIN,
+        new NodeNotFoundError(
+          `Waypoints ${missingWaypoints.join(", ")} don't exist in the graph.`,
+          { nodes: missingWaypoints }
+        ),
+        true
+      );
+      return this;
+    }
+
+    if (
+      useFloydWarshall &&
+      (this.#precedenceMatrix == null || this.#distanceMatrix == null)
+    ) {
+      this.logProcess(
+        this.loggingLevels.MIN,
+        new MatricesNotComputedError(
+          "Precedence Matrix and Distance Matrix are required to find the path. Firstly run findMatricesFloydWarshall"
+        ),
+        true
+      );
+      return this;
+    }
+    if (useFloydWarshall && !this.#checkMatricesVersion()) return this;
+
+    if (
+      !useFloydWarshall &&
+      this.allowNegativeWeights &&
+      this.#hasNegativeRoutes()
+    ) {
+      this.logProcess(
+        this.loggingLevels.MIN,
+        new NegativeWeightsError(
+          "Dijkstra Algorithm doesn't support negative weights. Use useFloydWarshall instead."
+        ),
+        true
+      );
+      return this;
+    }
+
+    startNode = String(startNode);
+    endNode = String(endNode);
+    waypoints = waypoints.map(String);
+
+    const findLeg = this.#legFinder(useFloydWarshall);
+    const legCost = (node, nextNode) => findLeg(node, nextNode).cost;
+    const order = keepOrder
+      ? waypoints
+      : waypoints.length <= MAX_EXACT_ORDER_NODES
+      ? this.#bestVisitingOrder(startNode, waypoints, endNode, legCost)
+      : this.#heuristicVisitingOrder(startNode, waypoints, endNode, legCost);
+
+    const { cost, path, legs } = this.#joinLegs(
+      [startNode, ...order, endNode],
+      findLeg
+    );
+    return { cost, path, order, legs };
+  };
+
+  /**
+   * Finds a tour from a node that visits every client node, joining the cheapest paths of the Floyd Warshall Algorithm.
+   * For up to 12 clients the cheapest order is found (Held-Karp Algorithm), for more clients a cheap order is found with
+   * the nearest neighbour and 2-opt heuristics. The toll cost of a node is charged once per visit.
+   * @param {string} startNode - The starting node of the tour (e.g. a depot).
+   * @param {Array} clients - The nodes to visit.
+   * @param {Object} [options] - Optional parameters of the tour.
+   * @param {boolean} [options.returnToStart = true] - If true, the tour ends at the starting node. Otherwise, it ends at the last client visited.
+   * @returns {Object} Object {cost, path, order, legs} with the total cost, the full path, the clients in visiting order and the cost and path of every leg.
+   * If a client is unreachable, the total cost is Infinity and the full path is empty.
+   * @throws {GraphError} If isError is true and ignoreErrors is false, an error will be thrown in the following cases:
+   *   * If the starting node or any client doesn't exist in graph.
+   *   * If the Floyd Warshall Algorithm hasn't been executed previously.
+   *   * If the matrices are outdated and this.staleMatrices is "reject".
+   */
+  findTour = (startNode, clients, { returnToStart = true } = {}) => {
+    this.logProcess(this.loggingLevels.STEPS, "Starting tour search");
+
+    if (startNode == null || !this.graph.hasOwnProperty(startNode)) {
+      this.logProcess(
+        this.loggingLevels.MIN,
+        new NodeNotFoundError(
+          "The starting node specified doesn't exist in the graph yet.",
+          { nodes: this.#missingNodes(startNode) }
+        ),
+        true
+      );
+      return this;
+    }
+
+    if (!Array.isArray(clients)) {
+      this.logProcess(
+        this.loggingLevels.MIN,
+        new InvalidArgumentError("The clients must be an array of nodes.", {
+          details: { clients },
+        }),
+        true
+      );
+      return this;
+    }
+
+    const missingClients = clients.filter(
+      (client) => client == null || !this.graph.hasOwnProperty(client)
+    );
+    if (missingClients.length > 0) {
+      this.logProcess(
+        this.loggingLevels.MIN,
+        new NodeNotFoundError(
+          `Clients ${missingClients.join(", ")} don't exist in the graph.`,
+          { nodes: missingClients }
+        ),
+        true
+      );
+      return this;
+    }
+
+    if (this.#precedenceMatrix == null || this.#distanceMatrix == null) {
+      this.logProcess(
+        this.loggingLevels.MIN,
+        new MatricesNotComputedError(
+          "Precedence Matrix and Distance Matrix are required to find the tour. Firstly run findMatricesFloydWarshall"
+        ),
+        true
+      );
+      return this;
+    }
+    if (!this.#checkMatricesVersion()) return this;
+
+    startNode = String(startNode);
+    clients = clients.map(String);
+    const endNode = returnToStart ? startNode : null;
+    const findLeg = this.#legFinder(true);
+    const legCost = (node, nextNode) => findLeg(node, nextNode).cost;
+
+    const order =
+      clients.length <= MAX_EXACT_ORDER_NODES
+        ? this.#bestVisitingOrder(startNode, clients, endNode, legCost)
+        : this.#heuristicVisitingOrder(startNode, clients, endNode, legCost);
+
+    const stops = [startNode, ...order];
+    if (returnToStart) stops.push(startNode);
+    const { cost, path, legs } = this.#joinLegs(stops, findLeg);
+    return { cost, path, order, legs };
+  };
+
+  /**
+   * Creates a graph with the same settings and some nodes of this graph (with their costs and coordinates), without routes.
+   * @param {string} name - The name of the new graph.
+   * @param {Array} nodes - The nodes copied to the new graph.
+   * @returns {Graph} The new graph.
+   */
+  #subgraph = (name, nodes) => {
+    const subgraph = new Graph({
+      name,
+      loggingLevel: this.loggingLevel,
+      ignoreErrors: this.ignoreErrors,
+      logger: this.logger,
+      autoCreateNodes: this.autoCreateNodes,
+      constantNodesCost: this.constantNodesCost,
+      costFormat: this.costFormat,
+      allowNegativeWeights: this.allowNegativeWeights,
+      defaultMetric: this.defaultMetric,
+    });
+    nodes.forEach((node) =>
+      subgraph.addNode(
+        Object.assign(
+          {
+            name: node,
+            cost: this.costsNodes[node],
+            protectNodeCost: this.#protectedNodesCost[node],
+          },
+          this.coordinatesNodes[node]
+        )
+      )
+    );
+    return subgraph;
+  };
+
+  /**
+   * Finds the minimum spanning tree of an undirected graph (routes created with bidirectional = true) using the Prim or Kruskal Algorithm.
+   * If the graph is disconnected, a minimum spanning forest (a tree for each connected component) is found.
+   * Avoided nodes and routes aren't part of the tree. If both directions of a route have different weights, a warning is logged and the lowest weight is used.
+   * @param {Object} [options] - Optional parameters of the algorithm.
+   * @param {string} [options.algorithm = "prim"] - The algorithm used ( @see Constants.SpanningTreeAlgorithms ).
+   * @returns {Object} Object {routes, weight, trees, graph} with the routes of the tree ({from, to, weight}), their total weight,
+   * the number of trees (more than 1 if the graph is disconnected) and a new graph with only the routes of the tree.
+   * @throws {GraphError} If isError is true and ignoreErrors is false, an error will be thrown in the following cases:
+   *   * If the algorithm is unknown.
+   *   * If a route doesn't have the opposite route (the graph is directed).
+   */
+  findMinimumSpanningTree = ({
+    algorithm = SpanningTreeAlgorithms.PRIM,
+  } = {}) => {
+    this.logProcess(
+      this.loggingLevels.STEPS,
+      `Starting ${algorithm} minimum spanning tree Algorithm`
+    );
+
+    if (!Object.values(SpanningTreeAlgorithms).includes(algorithm)) {
+      this.logProcess(
+        this.loggingLevels.MIN,
+        new InvalidArgumentError(
+          `Unknown minimum spanning tree algorithm ${algorithm}, expected one of: ${Object.values(
+            SpanningTreeAlgorithms
+          ).join(", ")}`,
+          { details: { algorithm } }
+        ),
+        true
+      );
+      return this;
+    }
+
+    const nodes = Object.keys(this.graph).filter(
+      (node) => this.costsNodes[node] !== Infinity
+    );
+    //Undirected routes (once per pair of nodes) and the routes of each node.
+    const routes = [];
+    const adjacentRoutes = {};
+    nodes.forEach((node) => (adjacentRoutes[node] = []));
+    const processedNodes = new Set();
+    for (const node of nodes) {
+      processedNodes.add(node);
+      for (const adjNode in this.graph[node]) {
+        if (!this.graph[adjNode].hasOwnProperty(node)) {
+          this.logProcess(
+            this.loggingLevels.MIN,
+            new DirectedRouteError(
+              `Route ${node} - ${adjNode} isn't bidirectional, the minimum spanning tree requires an undirected graph`,
+              { nodes: [node, adjNode] }
+            ),
+            true
+          );
+          return this;
+        }
+        const weight = this.graph[node][adjNode];
+        const oppositeWeight = this.graph[adjNode][node];
+        if (
+          adjacentRoutes[adjNode] === undefined ||
+          weight === Infinity ||
+          oppositeWeight === Infinity ||
+          processedNodes.has(adjNode)
+        )
+          continue;
+        if (weight !== oppositeWeight) {
+          this.logProcess(
+            this.loggingLevels.MIN,
+            `Route ${node} - ${adjNode} has different weights in each direction (${weight}, ${oppositeWeight}), using the lowest weight`
+          );
+        }
+        const route = {
+          from: node,
+          to: adjNode,
+          weight: Math.min(weight, oppositeWeight),
+        };
+        routes.push(route);
+        adjacentRoutes[node].push(route);
+        adjacentRoutes[adjNode].push(route);
+      }
+    }
+
+    const treeRoutes = [];
+    let trees = 0;
+    if (algorithm === SpanningTreeAlgorithms.KRUSKAL) {
+      //Union-find of the trees, joining the cheapest routes between different trees.
+      const roots = {};
+      nodes.forEach((node) => (roots[node] = node));
+      const findRoot = (node) => {
+        while (roots[node] !== node) {
+          roots[node] = roots[roots[node]];
+          node = roots[node];
+        }
+        return node;
+      };
+      trees = nodes.length;
+      routes
+        .slice()
+        .sort((a, b) => a.weight - b.weight)
+        .forEach((route) => {
+          const fromRoot = findRoot(route.from);
+          const toRoot = findRoot(route.to);
+          if (fromRoot === toRoot) return;
+          roots[fromRoot] = toRoot;
+          treeRoutes.push(route);
+          trees--;
+        });
+    } else {
+      //Grows a tree from each node not reached yet, adding the cheapest route to a new node.
+      const visited = new Set();
+      for (const root of nodes) {
+        if (visited.has(root)) continue;
+        trees++;
+        const frontier = new PriorityQueue();
+        visited.add(root);
+        adjacentRoutes[root].forEach((route) =>
+          frontier.push(route, route.weight)
+        );
+        while (!frontier.isEmpty()) {
+          const route = frontier.pop().value;
+          const node = visited.has(route.from) ? route.to : route.from;
+          if (visited.has(node)) continue;
+          visited.add(node);
+          treeRoutes.push(route);
+          adjacentRoutes[node].forEach((adjRoute) => {
+            if (!visited.has(adjRoute.from) || !visited.has(adjRoute.to))
+              frontier.push(adjRoute, adjRoute.weight);
+          });
+        }
+      }
+    }
+
+    if (trees > 1) {
+      this.logProcess(
+        this.loggingLevels.MIN,
+        `The graph is disconnected, found a minimum spanning forest with ${trees} trees`
+      );
+    }
+
+    const tree = this.#subgraph(`${this.name} - Minimum spanning tree`, nodes);
+    treeRoutes.forEach((route) =>
+      tree.addRoute(route.from, route.to, route.weight, true)
+    );
+    return {
+      routes: treeRoutes,
+      weight: this.formatCost(
+        treeRoutes.reduce((total, route) => total + route.weight, 0)
+      ),
+      trees,
+      graph: tree,
+    };
+  };
+
+  /**
+   * Returns the nodes reachable through a route of a node, ignoring avoided routes and nodes.
+   * @param {string} node - The starting node of the routes.
+   * @returns {Array} The adjacent nodes of the node.
+   */
+  #presentAdjNodes = (node) =>
+    Object.keys(this.graph[node]).filter(
+      (adjNode) =>
+        this.graph[node][adjNode] !== Infinity &&
+        this.costsNodes[adjNode] !== Infinity
+    );
+
+  /**
+   * Returns the nodes of the graph, ignoring avoided nodes.
+   * @returns {Array} The nodes of the graph.
+   */
+  #presentNodes = () =>
+    Object.keys(this.graph).filter(
+      (node) => this.costsNodes[node] !== Infinity
+    );
+
+  /**
+   * Finds the nodes reachable from a node (including itself). Avoided nodes and routes are treated as absent.
+   * @param {string} node - The starting node.
+   * @returns {Set} The reachable nodes, empty if the node is avoided.
+   * @throws {GraphError} If isError is true and ignoreErrors is false, an error will be thrown if the node doesn't exist.
+   */
+  reachableFrom = (node) => {
+    if (node == null || !this.graph.hasOwnProperty(node)) {
+      this.logProcess(
+        this.loggingLevels.MIN,
+        new NodeNotFoundError(`Node doesn't exist in the graph (${node})`, {
+          nodes: [node],
+        }),
+        true
+      );
+      return this;
+    }
+    node = String(node);
+    const reachable = new Set();
+    if (this.costsNodes[node] === Infinity) return reachable;
+    reachable.add(node);
+    const pending = [node];
+    while (pending.length > 0) {
+      this.#presentAdjNodes(pending.pop()).forEach((adjNode) => {
+        if (reachable.has(adjNode)) return;
+        reachable.add(adjNode);
+        pending.push(adjNode);
+      });
+    }
+    return reachable;
+  };
+
+  /**
+   * Returns true if there is a path between two nodes. Avoided nodes and routes are treated as absent.
+   * @param {string} startNode - The starting node of the path.
+   * @param {string} endNode - The ending node of the path.
+   * @returns {boolean} If the ending node is reachable from the starting node.
+   * @throws {GraphError} If isError is true and ignoreErrors is false, an error will be thrown if any of the nodes doesn't exist.
+   */
+  isReachable = (startNode, endNode) => {
+    if (endNode == null || !this.graph.hasOwnProperty(endNode)) {
+      this.logProcess(
+        this.loggingLevels.MIN,
+        new NodeNotFoundError(`Node doesn't exist in the graph (${endNode})`, {
+          nodes: [endNode],
+        }),
+        true
+      );
+      return this;
+    }
+    const reachable = this.reachableFrom(startNode);
+    return reachable instanceof Set && reachable.has(String(endNode));
+  };
+
+  /**
+   * Finds the strongly connected components (every node of a component is reachable from the others) using Tarjan's Algorithm.
+   * Avoided nodes and routes are treated as absent.
+   * @returns {Array} The components (arrays of nodes), in reverse topological order: a component can only reach the components listed before it.
+   */
+  getStronglyConnectedComponents = () => {
+    const components = [];
+    const indexes = {};
+    const lowLinks = {};
+    const stack = [];
+    const onStack = new Set();
+    let index = 0;
+    const visit = (node) => {
+      indexes[node] = lowLinks[node] = index++;
+      stack.push(node);
+      onStack.add(node);
+      return { node, adjNodes: this.#presentAdjNodes(node), next: 0 };
+    };
+
+    for (const root of this.#presentNodes()) {
+      if (indexes.hasOwnProperty(root)) continue;
+      //Depth-first search with an explicit stack, to support long paths.
+      const searchStack = [visit(root)];
+      while (searchStack.length > 0) {
+        const current = searchStack[searchStack.length - 1];
+        if (current.next < current.adjNodes.length) {
+          const adjNode = current.adjNodes[current.next++];
+          if (!indexes.hasOwnProperty(adjNode)) {
+            searchStack.push(visit(adjNode));
+          } else if (onStack.has(adjNode)) {
+            lowLinks[current.node] = Math.min(
+              lowLinks[current.node],
+              indexes[adjNode]
+            );
+          }
+          continue;
+        }
+        searchStack.pop();
+        const node = current.node;
+        if (searchStack.length > 0) {
+          const parent = searchStack[searchStack.length - 1].node;
+          lowLinks[parent] = Math.min(lowLinks[parent], lowLinks[node]);
+        }
+        if (lowLinks[node] === indexes[node]) {
+          const component = [];
+          let member;
+          do {
+            member = stack.pop();
+            onStack.delete(member);
+            component.unshift(member);
+          } while (member !== node);
+          components.push(component);
+        }
+      }
+    }
+    return components;
+  };
+
+  /**
+   * Finds the weakly connected components (connected if the direction of the routes is ignored).
+   * Avoided nodes and routes are treated as absent.
+   * @returns {Array} The components (arrays of nodes), in order of their first node in the graph.
+   */
+  getWeaklyConnectedComponents = () => {
+    const nodes = this.#presentNodes();
+    const roots = {};
+    nodes.forEach((node) => (roots[node] = node));
+    const findRoot = (node) => {
+      while (roots[node] !== node) {
+        roots[node] = roots[roots[node]];
+        node = roots[node];
+      }
+      return node;
+    };
+    nodes.forEach((node) =>
+      this.#presentAdjNodes(node).forEach(
+        (adjNode) => (roots[findRoot(adjNode)] = findRoot(node))
+      )
+    );
+    const components = new Map();
+    nodes.forEach((node) => {
+      const root = findRoot(node);
+      if (!components.has(root)) components.set(root, []);
+      components.get(root).push(node);
+    });
+    return Array.from(components.values());
+  };
+
+  /**
+   * Returns the result of a path query between two nodes without any path.
+   * @param {string} startNode - The starting node of the path.
+   * @param {string} endNode - The ending node of the path.
+   * @returns {Object} Object {cost: Infinity, path: [], unreachable: true}.
+   */
+  #unreachablePath = (startNode, endNode) => {
+    this.logProcess(
+      this.loggingLevels.STEPS,
+      `There isn't any path from ${startNode} to ${endNode}`
+    );
+    return { cost: this.formatCost(Infinity), path: [], unreachable: true };
+  };
+
+  /**
+   * Sorts the nodes so every route goes from a node to a later node (Kahn's Algorithm). Avoided nodes and routes are treated as absent.
+   * @returns {Array} The sorted nodes. If the graph has cycles, the nodes of the cycles (and the nodes reachable from them) are missing.
+   */
+  #topologicalOrder = () => {
+    const nodes = this.#presentNodes();
+    const inDegrees = {};
+    nodes.forEach((node) => (inDegrees[node] = 0));
+    nodes.forEach((node) =>
+      this.#presentAdjNodes(node).forEach((adjNode) => inDegrees[adjNode]++)
+    );
+    const order = nodes.filter((node) => inDegrees[node] === 0);
+    for (let i = 0; i < order.length; i++) {
+      this.#presentAdjNodes(order[i]).forEach((adjNode) => {
+        if (--inDegrees[adjNode] === 0) order.push(adjNode);
+      });
+    }
+    return order;
+  };
+
+  /**
+   * Returns true if the graph has a directed cycle. Avoided nodes and routes are treated as absent.
+   * @returns {boolean} If the graph has a cycle.
+   */
+  hasCycle = () =>
+    this.#topologicalOrder().length < this.#presentNodes().length;
+
+  /**
+   * Finds the elementary cycles of the graph (cycles that don't repeat nodes). Avoided nodes and routes are treated as absent.
+   * The number of cycles can grow exponentially with the size of the graph, use limit to stop the search.
+   * @param {Object} [options] - Optional parameters of the search.
+   * @param {Number} [options.limit = Infinity] - The maximum number of cycles to find.
+   * @returns {Array} The cycles, each one as the path from its first node back to it (e.g. ['A', 'B', 'C', 'A']).
+   * @throws {GraphError} If isError is true and ignoreErrors is false, an error will be thrown if limit isn't a positive number.
+   */
+  findCycles = ({ limit = Infinity } = {}) => {
+    if (isNaN(limit) || Number(limit) <= 0) {
+      this.logProcess(
+        this.loggingLevels.MIN,
+        new InvalidArgumentError(
+          "The limit of cycles must be a positive number",
+          { details: { limit } }
+        ),
+        true
+      );
+      return this;
+    }
+    const cycles = [];
+    //Every cycle is inside a strongly connected component, and is found from its first node in the graph.
+    const components = {};
+    const positions = {};
+    this.getStronglyConnectedComponents().forEach((component, i) =>
+      component.forEach((node) => (components[node] = i))
+    );
+    this.#presentNodes().forEach((node, i) => (positions[node] = i));
+
+    for (const startNode of this.#presentNodes()) {
+      const candidates = (node) =>
+        this.#presentAdjNodes(node).filter(
+          (adjNode) =>
+            components[adjNode] === components[startNode] &&
+            positions[adjNode] >= positions[startNode]
+        );
+      const path = [startNode];
+      const onPath = new Set(path);
+      const searchStack = [{ adjNodes: candidates(startNode), next: 0 }];
+      while (searchStack.length > 0 && cycles.length < limit) {
+        const current = searchStack[searchStack.length - 1];
+        if (current.next === current.adjNodes.length) {
+          searchStack.pop();
+          onPath.delete(path.pop());
+          continue;
+        }
+        const adjNode = current.adjNodes[current.next++];
+        if (adjNode === startNode) {
+          cycles.push(path.concat(startNode));
+        } else if (!onPath.has(adjNode)) {
+          path.push(adjNode);
+          onPath.add(adjNode);
+          searchStack.push({ adjNodes: candidates(adjNode), next: 0 });
+        }
+      }
+      if (cycles.length >= limit) break;
+    }
+    return cycles;
+  };
+
+  /**
+   * Sorts the nodes so every route goes from a node to a later node. Avoided nodes and routes are treated as absent.
+   * @returns {Array} The sorted nodes.
+   * @throws {GraphError} If isError is true and ignoreErrors is false, an error will be thrown if the graph has a cycle.
+   */
+  topologicalSort = () => {
+    const order = this.#topologicalOrder();
+    if (order.length < this.#presentNodes().length) {
+      this.logProcess(
+        this.loggingLevels.MIN,
+        new CyclicGraphError(
+          "The graph has a cycle, it can't be sorted topologically. Use findCycles to find them."
+        ),
+        true
+      );
+      return this;
+    }
+    return order;
+  };
+
+  /**
+   * Finds the best (min weight) or the longest (max weight) path of a directed acyclic graph, following its topological order.
+   * The longest path including the cost of the nodes (e.g. the duration of tasks) is the critical path of a schedule.
+   * @param {string} startNode - The starting node of the path.
+   * @param {string} endNode - The ending node of the path.
+   * @param {Object} [options] - Optional parameters of the search.
+   * @param {boolean} [options.longest = false] - If true, finds the longest path instead of the cheapest one.
+   * @returns {Object} Object with path and calculated weight (distance), or {cost: Infinity, path: [], unreachable: true} if there isn't any path.
+   * @throws {GraphError} If isError is true and ignoreErrors is false, an error will be thrown in the following cases:
+   *   * If the starting node or the ending node doesn't exist in graph.
+   *   * If the graph has a cycle.
+   */
+  findPathDAG = (startNode, endNode, { longest = false } = {}) => {
+    this.logProcess(
+      this.loggingLevels.STEPS,
+      "Starting directed acyclic graph path search"
+    );
+
+    if (
+      startNode == null ||
+      endNode == null ||
+      !this.graph.hasOwnProperty(startNode) ||
+      !this.graph.hasOwnProperty(endNode)
+    ) {
+      this.logProcess(
+        this.loggingLevels.MIN,
+        new NodeNotFoundError(
+          "The starting/ending nodes specified doesn't exist in the graph yet.",
+          { nodes: this.#missingNodes(startNode, endNode) }
+        ),
+        true
+      );
+      return this;
+    }
+
+    const order = this.#topologicalOrder();
+    if (order.length < this.#presentNodes().length) {
+      this.logProcess(
+        this.loggingLevels.MIN,
+        new CyclicGraphError(
+          "The graph has a cycle, use findPathDijkstra or findPathBellmanFord instead."
+        ),
+        true
+      );
+      return this;
+    }
+
+    startNode = String(startNode);
+    endNode = String(endNode);
+    if (!this.isReachable(startNode, endNode))
+      return this.#unreachablePath(startNode, endNode);
+
+    const isBetter = (cost, currentCost) =>
+      currentCost === undefined ||
+      (longest ? cost > currentCost : cost < currentCost);
+    const nodes = { [startNode]: this.costsNodes[startNode] };
+    const parents = {};
+    for (const node of order.slice(order.indexOf(startNode))) {
+      if (!nodes.hasOwnProperty(node)) continue;
+      if (node === endNode) break;
+      this.#presentAdjNodes(node).forEach((adjNode) => {
+        const cost =
+          nodes[node] + this.graph[node][adjNode] + this.costsNodes[adjNode];
+        if (isBetter(cost, nodes[adjNode])) {
+          nodes[adjNode] = cost;
+          parents[adjNode] = node;
+        }
+      });
+    }
+
+    this.logProcess(this.loggingLevels.STEPS, nodes);
+    return {
+      cost: this.formatCost(nodes[endNode]),
+      path: this.#pathFromParents(parents, endNode),
+    };
+  };
+
+  /**
+   * Returns the capacity of a route. Avoided routes and routes of avoided nodes have zero capacity.
+   * @param {string} startNode - The starting node of the route.
+   * @param {string} endNode - The ending node of the route.
+   * @returns {Number} The capacity of the route (Infinity if the route doesn't have a capacity).
+   */
+  #routeCapacity = (startNode, endNode) => {
+    if (
+      this.graph[startNode][endNode] === Infinity ||
+      this.costsNodes[startNode] === Infinity ||
+      this.costsNodes[endNode] === Infinity
+    )
+      return 0;
+    const capacities = this.capacitiesRoutes[startNode];
+    return capacities === undefined || capacities[endNode] === undefined
+      ? Infinity
+      : capacities[endNode];
+  };
+
+  /**
+   * Finds the maximum flow between two nodes using the Edmonds-Karp Algorithm, limited by the capacity of the routes ( @see setRouteCapacity ).
+   * Avoided routes and nodes have zero capacity.
+   * @param {string} source - The node where the flow starts.
+   * @param {string} sink - The node where the flow ends.
+   * @returns {Object} Object {flow, flows, minCut} with the maximum flow, the flow of each route used ({startNode: {endNode: flow}})
+   * and the routes of the minimum cut ({from, to, capacity}), which limit the maximum flow. If a path with unlimited capacity exists,
+   * the flow is Infinity.
+   * @throws {GraphError} If isError is true and ignoreErrors is false, an error will be thrown in the following cases:
+   *   * If the source or the sink doesn't exist in graph.
+   *   * If the source and the sink are the same.
+   */
+  findMaxFlow = (source, sink) => {
+    this.logProcess(
+      this.loggingLevels.STEPS,
+      "Starting Edmonds-Karp Algorithm"
+    );
+
+    if (
+      source == null ||
+      sink == null ||
+      !this.graph.hasOwnProperty(source) ||
+      !this.graph.hasOwnProperty(sink)
+    ) {
+      this.logProcess(
+        this.loggingLevels.MIN,
+        new NodeNotFoundError(
+          "The source/sink nodes specified doesn't exist in the graph yet.",
+          { nodes: this.#missingNodes(source, sink) }
+        ),
+        true
+      );
+      return this;
+    }
+    source = String(source);
+    sink = String(sink);
+    if (source === sink) {
+      this.logProcess(
+        this.loggingLevels.MIN,
+        new InvalidArgumentError(
+          `The source and the sink must be different nodes (${source})`,
+          { nodes: [source] }
+        ),
+        true
+      );
+      return this;
+    }
+
+    //Flow of each route, and the nodes connected to each node by a route in any direction (to cancel flow).
+    const flows = {};
+    const neighbours = {};
+    for (const node in this.graph) {
+      flows[node] = {};
+      neighbours[node] = neighbours[node] || new Set();
+      for (const adjNode in this.graph[node]) {
+        flows[node][adjNode] = 0;
+        neighbours[node].add(adjNode);
+        neighbours[adjNode] = neighbours[adjNode] || new Set();
+        neighbours[adjNode].add(node);
+      }
+    }
+    const flowOf = (node, adjNode) =>
+      flows[node][adjNode] === undefined ? 0 : flows[node][adjNode];
+    const residualCapacity = (node, adjNode) =>
+      (this.graph[node].hasOwnProperty(adjNode)
+        ? this.#routeCapacity(node, adjNode) - flows[node][adjNode]
+        : 0) + flowOf(adjNode, node);
+    const residualParents = () => {
+      const parents = { [source]: null };
+      const pending = [source];
+      for (let i = 0; i < pending.length; i++) {
+        for (const adjNode of neighbours[pending[i]]) {
+          if (
+            parents.hasOwnProperty(adjNode) ||
+            !(residualCapacity(pending[i], adjNode) > 0)
+          )
+            continue;
+          parents[adjNode] = pending[i];
+          pending.push(adjNode);
+        }
+      }
+      return parents;
+    };
+
+    let maxFlow = 0;
+    let parents = residualParents();
+    let iteration = 0;
+    while (parents.hasOwnProperty(sink)) {
+      iteration++;
+      //Shortest augmenting path (in number of routes) and its bottleneck.
+      const path = [sink];
+      let bottleneck = Infinity;
+      while (parents[path[0]] !== null) {
+        bottleneck = Math.min(
+          bottleneck,
+          residualCapacity(parents[path[0]], path[0])
+        );
+        path.unshift(parents[path[0]]);
+      }
+      if (bottleneck === Infinity) {
+        this.logProcess(
+          this.loggingLevels.MIN,
+          `Path ${path.join(
+            " -> "
+          )} has unlimited capacity, the maximum flow is Infinity`
+        );
+        return { flow: Infinity, flows: {}, minCut: [] };
+      }
+      for (let i = 1; i < path.length; i++) {
+        //Cancels the flow of the opposite route before using the route.
+        const cancelled = Math.min(bottleneck, flowOf(path[i], path[i - 1]));
+        if (cancelled > 0) flows[path[i]][path[i - 1]] -= cancelled;
+        if (bottleneck > cancelled)
+          flows[path[i - 1]][path[i]] += bottleneck - cancelled;
+      }
+      maxFlow += bottleneck;
+      this.logProcess(
+        this.loggingLevels.STEPS,
+        `Augmenting path: ${path.join(" -> ")}, Flow: ${bottleneck}`,
+        false,
+        `Iteration ${iteration}`
+      );
+      parents = residualParents();
+    }
+
+    //The nodes still reachable from the source form one side of the minimum cut.
+    const minCut = [];
+    for (const node in parents) {
+      for (const adjNode in this.graph[node]) {
+        if (parents.hasOwnProperty(adjNode)) continue;
+        const capacity = this.#routeCapacity(node, adjNode);
+        if (capacity > 0) minCut.push({ from: node, to: adjNode, capacity });
+      }
+    }
+
+    const usedFlows = {};
+    for (const node in flows) {
+      for (const adjNode in flows[node]) {
+        if (flows[node][adjNode] <= 0) continue;
+        if (!usedFlows.hasOwnProperty(node)) usedFlows[node] = {};
+        usedFlows[node][adjNode] = flows[node][adjNode];
+      }
+    }
+    return { flow: maxFlow, flows: usedFlows, minCut };
+  };
+
+  /**
+   * Finds the cheapest way to ship the demand of some nodes from the supply of other nodes, limited by the capacity of the routes
+   * ( @see setRouteCapacity ), using successive shortest paths (Dijkstra Algorithm with potentials).
+   * Each unit of flow costs the weight of the routes it uses and the toll cost of the nodes it goes through (including its supply node).
+   * Avoided routes and nodes have zero capacity.
+   * @param {Object} supplies - Object {node: amount} with the amount each node can ship.
+   * @param {Object} demands - Object {node: amount} with the amount each node needs.
+   * @returns {Object} Object {feasible, flow, cost, flows} with the amount shipped, its total cost and the flow of each route used ({startNode: {endNode: flow}}).
+   * If the demands can't be satisfied, feasible is false and the object includes the amount missing for each node (unmetDemands), the rest of the demand is shipped anyway.
+   * @throws {GraphError} If isError is true and ignoreErrors is false, an error will be thrown in the following cases:
+   *   * If any node of the supplies or the demands doesn't exist in graph.
+   *   * If any amount isn't a positive number.
+   *   * If the graph has negative weights.
+   */
+  findMinCostFlow = (supplies, demands) => {
+    this.logProcess(
+      this.loggingLevels.STEPS,
+      "Starting successive shortest paths Algorithm"
+    );
+
+    const errors = [];
+    [
+      ["Supply", supplies],
+      ["Demand", demands],
+    ].forEach(([type, amounts]) => {
+      if (typeof amounts !== "object" || amounts === null) {
+        errors.push(
+          new InvalidArgumentError(`${type} must be an object {node: amount}.`)
+        );
+        return;
+      }
+      for (const node in amounts) {
+        if (!this.graph.hasOwnProperty(node)) {
+          errors.push(
+            new NodeNotFoundError(
+              `${type} node ${node} doesn't exist in the graph.`,
+              { nodes: [node] }
+            )
+          );
+        } else if (isNaN(amounts[node]) || !(Number(amounts[node]) > 0)) {
+          errors.push(
+            new InvalidArgumentError(
+              `${type} of node ${node} must be a positive number.`,
+              { nodes: [node], details: { amount: amounts[node] } }
+            )
+          );
+        }
+      }
+    });
+    if (errors.length > 0) {
+      this.logProcess(
+        this.loggingLevels.MIN,
+        new ValidationError(errors),
+        true
+      );
+      return this;
+    }
+
+    if (this.allowNegativeWeights && this.#hasNegativeRoutes()) {
+      this.logProcess(
+        this.loggingLevels.MIN,
+        new NegativeWeightsError(
+          "Minimum cost flow doesn't support negative weights."
+        ),
+        true
+      );
+      return this;
+    }
+
+    //Residual network: every route has a reverse edge (negative cost) to cancel its flow.
+    //Nodes are indexes, with a source connected to the supplies and a sink connected to the demands.
+    const nodes = Object.keys(this.graph);
+    const indexes = {};
+    nodes.forEach((node, i) => (indexes[node] = i));
+    const source = nodes.length;
+    const sink = nodes.length + 1;
+    const edges = [];
+    const adjacentEdges = Array.from({ length: nodes.length + 2 }, () => []);
+    const addEdge = (from, to, capacity, cost, route = null) => {
+      adjacentEdges[from].push(edges.length);
+      edges.push({ to, capacity, cost, flow: 0, route });
+      adjacentEdges[to].push(edges.length);
+      edges.push({ to: from, capacity: 0, cost: -cost, flow: 0, route: null });
+    };
+    nodes.forEach((node) => {
+      for (const adjNode in this.graph[node]) {
+        const capacity = this.#routeCapacity(node, adjNode);
+        if (capacity > 0)
+          addEdge(
+            indexes[node],
+            indexes[adjNode],
+            capacity,
+            this.graph[node][adjNode] + this.costsNodes[adjNode],
+            [node, adjNode]
+          );
+      }
+    });
+    let totalDemand = 0;
+    for (const node in supplies) {
+      if (this.costsNodes[node] !== Infinity)
+        addEdge(
+          source,
+          indexes[node],
+          Number(supplies[node]),
+          this.costsNodes[node]
+        );
+    }
+    const demandEdges = {};
+    for (const node in demands) {
+      totalDemand += Number(demands[node]);
+      demandEdges[node] = edges.length;
+      addEdge(indexes[node], sink, Number(demands[node]), 0);
+    }
+
+    //Potentials keep the reduced costs of the residual edges non-negative, so the Dijkstra Algorithm can be used.
+    const potentials = new Array(nodes.length + 2).fill(0);
+    let shipped = 0;
+    let totalCost = 0;
+    let iteration = 0;
+    while (shipped < totalDemand) {
+      const distances = new Array(nodes.length + 2).fill(Infinity);
+      const parentEdges = new Array(nodes.length + 2).fill(-1);
+      const visited = new Set();
+      const frontier = new PriorityQueue();
+      distances[source] = 0;
+      frontier.push(source, 0);
+      let node = this.#nextFrontierNode(frontier, distances, visited);
+      while (node !== null) {
+        visited.add(node);
+        adjacentEdges[node].forEach((edgeIndex) => {
+          const edge = edges[edgeIndex];
+          if (edge.capacity - edge.flow <= 0 || visited.has(edge.to)) return;
+          const distance =
+            distances[node] +
+            edge.cost +
+            potentials[node] -
+            potentials[edge.to];
+          if (distance < distances[edge.to]) {
+            distances[edge.to] = distance;
+            parentEdges[edge.to] = edgeIndex;
+            frontier.push(edge.to, distance);
+          }
+        });
+        node = this.#nextFrontierNode(frontier, distances, visited);
+      }
+      if (distances[sink] === Infinity) break;
+      distances.forEach((distance, i) => {
+        if (distance !== Infinity) potentials[i] += distance;
+      });
+
+      //Cheapest path from the source to the sink, and its bottleneck.
+      let amount = totalDemand - shipped;
+      for (let i = sink; i !== source; i = edges[parentEdges[i] ^ 1].to) {
+        const edge = edges[parentEdges[i]];
+        amount = Math.min(amount, edge.capacity - edge.flow);
+      }
+      const path = [];
+      for (let i = sink; i !== source; i = edges[parentEdges[i] ^ 1].to) {
+        edges[parentEdges[i]].flow += amount;
+        edges[parentEdges[i] ^ 1].flow -= amount;
+        totalCost += amount * edges[parentEdges[i]].cost;
+        if (i !== sink) path.unshift(nodes[i]);
+      }
+      shipped += amount;
+      iteration++;
+      this.logProcess(
+        this.loggingLevels.STEPS,
+        `Shipped ${amount} through ${path.join(" -> ")}, Cost per unit: ${
+          potentials[sink] - potentials[source]
+        }`,
+        false,
+        `Iteration ${iteration}`
+      );
+    }
+
+    const flows = {};
+    edges.forEach((edge) => {
+      if (edge.route === null || edge.flow <= 0) return;
+      const [node, adjNode] = edge.route;
+      if (!flows.hasOwnProperty(node)) flows[node] = {};
+      flows[node][adjNode] = edge.flow;
+    });
+    const result = {
+      feasible: shipped === totalDemand,
+      flow: shipped,
+      cost: this.formatCost(totalCost),
+      flows,
+    };
+    if (!result.feasible) {
+      result.unmetDemands = {};
+      for (const node in demandEdges) {
+        const edge = edges[demandEdges[node]];
+        if (edge.capacity > edge.flow)
+          result.unmetDemands[node] = edge.capacity - edge.flow;
+      }
+      this.logProcess(
+        this.loggingLevels.MIN,
+        `The demands can't be satisfied, missing: ${JSON.stringify(
+          result.unmetDemands
+        )}`
+      );
+    }
+    return result;
+  };
+
+  /**
+   * Returns a plain object with the state of the graph, that can be converted to JSON (used by JSON.stringify) and
+   * restored with Graph.fromJSON. Infinity (avoided nodes and routes) is encoded as "Infinity".
+   * Weight functions of time-dependent routes and cost formats that aren't plain objects (e.g. Intl.NumberFormat) can't be serialized:
+   * the static weight of the route is kept, and the cost format is skipped.
+   * @returns {Object} Object {schema, version, name, autoCreateNodes, constantNodesCost, allowNegativeWeights, defaultMetric, costFormat, nodes, routes}.
+   */
+  toJSON = () => {
+    const nodes = Object.keys(this.graph).map((node) => {
+      const serializedNode = { name: node };
+      if (this.costsNodes[node] !== undefined)
+        serializedNode.cost = encodeNumber(this.costsNodes[node]);
+      if (this.#protectedNodesCost[node]) serializedNode.protectNodeCost = true;
+      return Object.assign(serializedNode, this.coordinatesNodes[node]);
+    });
+
+    const routes = [];
+    for (const node in this.graph) {
+      for (const adjNode in this.graph[node]) {
+        const route = {
+          from: node,
+          to: adjNode,
+          weight: encodeNumber(this.graph[node][adjNode]),
+        };
+        if (
+          this.metricsRoutes[node] !== undefined &&
+          this.metricsRoutes[node][adjNode] !== undefined
+        ) {
+          route.metrics = {};
+          const metrics = this.metricsRoutes[node][adjNode];
+          for (const metric in metrics) {
+            route.metrics[metric] = encodeNumber(metrics[metric]);
+          }
+        }
+        const profile =
+          this.profilesRoutes[node] !== undefined
+            ? this.profilesRoutes[node][adjNode]
+            : undefined;
+        if (profile instanceof TimeProfile) {
+          const points = {};
+          profile.points.forEach(([time, weight]) => (points[time] = weight));
+          route.profile = { points, period: profile.period };
+        } else if (profile !== undefined) {
+          this.logProcess(
+            this.loggingLevels.MIN,
+            `Route ${node} - ${adjNode} has a weight function, serialized with its static weight`
+          );
+        }
+        if (
+          this.capacitiesRoutes[node] !== undefined &&
+          this.capacitiesRoutes[node][adjNode] !== undefined
+        )
+          route.capacity = encodeNumber(this.capacitiesRoutes[node][adjNode]);
+        routes.push(route);
+      }
+    }
+
+    const json = {
+      schema: JSON_SCHEMA,
+      version: JSON_SCHEMA_VERSION,
+      name: this.name,
+      autoCreateNodes: this.autoCreateNodes,
+      constantNodesCost: encodeNumber(this.constantNodesCost),
+      allowNegativeWeights: this.allowNegativeWeights,
+      defaultMetric: this.defaultMetric,
+    };
+    if (
+      this.costFormat != null &&
+      Object.getPrototypeOf(this.costFormat) === Object.prototype
+    ) {
+      json.costFormat = Object.assign({}, this.costFormat);
+    } else if (this.costFormat != null) {
+      this.logProcess(
+        this.loggingLevels.MIN,
+        "The cost format can't be serialized, it must be set again after Graph.fromJSON"
+      );
+    }
+    return Object.assign(json, { nodes, routes });
+  };
+
+  /**
+   * Creates a graph from the object returned by toJSON (or its JSON string).
+   * @param {(Object|string)} json - The serialized graph.
+   * @param {Object} [options] - Parameters of the new graph that aren't serialized.
+   * @param {Number} [options.loggingLevel = 0] - The level of the logger used ( @see Graph constructor ).
+   * @param {boolean} [options.ignoreErrors = true] - If false, an error will be thrown if the serialized graph is invalid.
+   * @param {Function} [options.logger] - The logger of the new graph ( @see Graph constructor ).
+   * @returns {Graph} The new graph, or null if the serialized graph is invalid.
+   * @throws {GraphError} If ignoreErrors is false, an error will be thrown in the following cases:
+   *   * If the JSON string can't be parsed.
+   *   * If the schema or the version isn't supported.
+   *   * If any node or route is invalid.
+   */
+  static fromJSON = (
+    json,
+    { loggingLevel = 0, ignoreErrors = true, logger } = {}
+  ) => {
+    const errors = [];
+    const addError = (message, ErrorType = ParseError, options = {}) =>
+      errors.push(new ErrorType(message, options));
+
+    if (typeof json === "string") {
+      try {
+        json = JSON.parse(json);
+      } catch (error) {
+        addError(`Invalid JSON (${error.message}).`);
+      }
+    }
+    if (errors.length === 0 && (typeof json !== "object" || json === null)) {
+      addError("The serialized graph must be an object.");
+    } else if (errors.length === 0) {
+      if (json.schema !== JSON_SCHEMA)
+        addError(`Unknown schema ${json.schema}, expected ${JSON_SCHEMA}.`);
+      if (
+        !Number.isInteger(json.version) ||
+        json.version < 1 ||
+        json.version > JSON_SCHEMA_VERSION
+      )
+        addError(
+          `Unsupported version ${json.version}, expected up to ${JSON_SCHEMA_VERSION}.`
+        );
+      if (!Array.isArray(json.nodes)) addError("Nodes must be an array.");
+      else
+        json.nodes.forEach((node, i) => {
+          if (typeof node !== "object" || node === null || node.name == null)
+            addError(`Node ${i} must have a name.`);
+          else if (node.cost !== undefined && isNaN(decodeNumber(node.cost)))
+            addError(
+              `Cost of node ${node.name} must be a number.`,
+              InvalidNodeCostError,
+              { nodes: [node.name] }
+            );
+        });
+      if (!Array.isArray(json.routes)) addError("Routes must be an array.");
+      else
+        json.routes.forEach((route, i) => {
+          if (
+            typeof route !== "object" ||
+            route === null ||
+            route.from == null ||
+            route.to == null
+          )
+            addError(`Route ${i} must have from and to nodes.`);
+          else if (isNaN(decodeNumber(route.weight)))
+            addError(
+              `Weight of route ${route.from} - ${route.to} must be a number.`,
+              InvalidWeightError,
+              { nodes: [route.from, route.to] }
+            );
+        });
+    }
+
+    const graph = new Graph({
+      name: errors.length === 0 && json.name != null ? json.name : null,
+      loggingLevel,
+      ignoreErrors,
+      logger,
+      autoCreateNodes: errors.length === 0 ? json.autoCreateNodes : false,
+      constantNodesCost:
+        errors.length === 0 && json.constantNodesCost !== undefined
+          ? decodeNumber(json.constantNodesCost)
+          : 0,
+      costFormat: errors.length === 0 ? json.costFormat || null : null,
+      allowNegativeWeights:
+        errors.length === 0 ? json.allowNegativeWeights || false : false,
+      defaultMetric:
+        errors.length === 0 && json.defaultMetric != null
+          ? json.defaultMetric
+          : "weight",
+    });
+    if (errors.length > 0) {
+      graph.logProcess(
+        graph.loggingLevels.MIN,
+        new ImportError(errors, {
+          title: "Invalid serialized graph:",
+          details: { format: "JSON" },
+        }),
+        true
+      );
+      return null;
+    }
+
+    json.nodes.forEach((node) => {
+      const newNode = Object.assign({}, node);
+      if (node.cost !== undefined) newNode.cost = decodeNumber(node.cost);
+      graph.addNode(newNode);
+    });
+    json.routes.forEach((route) => {
+      const weight = decodeNumber(route.weight);
+      let value = weight;
+      if (route.metrics != null) {
+        value = { [graph.defaultMetric]: weight };
+        for (const metric in route.metrics) {
+          value[metric] = decodeNumber(route.metrics[metric]);
+        }
+      }
+      graph.addRoute(route.from, route.to, value, false, true);
+      if (route.profile != null) {
+        graph.editRoute(
+          route.from,
+          route.to,
+          new TimeProfile(route.profile.points, route.profile.period)
+        );
+      }
+      if (route.capacity !== undefined) {
+        graph.setRouteCapacity(
+          route.from,
+          route.to,
+          decodeNumber(route.capacity)
+        );
+      }
+    });
+    return graph;
+  };
+
+  /**
+   * Returns the graph in the Graphviz DOT language, to draw it (e.g. dot -Tsvg).
+   * Nodes show their toll cost and routes their weight. Routes in both directions with the same weight are drawn as a single
+   * undirected edge (dir=none), and avoided nodes and routes are dashed.
+   * @param {Object} [options] - Options of the diagram.
+   * @param {(Object|Array)} [options.highlightPath = null] - Path to highlight, a result of findPathDijkstra (or any object {path}) or an array of nodes.
+   * @returns {string} The DOT text of the graph.
+   */
+  toDOT = ({ highlightPath = null } = {}) => {
+    const path =
+      highlightPath === null
+        ? []
+        : Array.isArray(highlightPath)
+        ? highlightPath
+        : highlightPath.path || [];
+    const highlightedNodes = new Set(path.map(String));
+    const highlightedRoutes = new Set();
+    for (let i = 1; i < path.length; i++) {
+      highlightedRoutes.add(`${path[i - 1]}\u0000${path[i]}`);
+    }
+    const highlight = "color=red, penwidth=2";
+    const lines = [
+      this.name != null ? `digraph ${quoteDOT(this.name)} {` : "digraph {",
+    ];
+
+    for (const node in this.graph) {
+      const cost = this.costsNodes[node];
+      const attributes = [];
+      if (cost === Infinity) {
+        attributes.push(`cost=Infinity`, "style=dashed");
+      } else if (cost !== undefined && Number(cost) !== 0) {
+        attributes.push(
+          `label="${escapeDOT(node)}\\ntoll: ${escapeDOT(
+            this.formatCost(cost)
+          )}"`,
+          `cost=${cost}`
+        );
+      }
+      if (highlightedNodes.has(node)) attributes.push(highlight);
+      lines.push(
+        `  ${quoteDOT(node)}${
+          attributes.length > 0 ? ` [${attributes.join(", ")}]` : ""
+        };`
+      );
+    }
+
+    const collapsed = new Set();
+    for (const node in this.graph) {
+      for (const adjNode in this.graph[node]) {
+        if (collapsed.has(`${node}\u0000${adjNode}`)) continue;
+        const weight = this.graph[node][adjNode];
+        const attributes = [`label=${quoteDOT(weight)}`];
+        const isBidirectional =
+          this.graph[adjNode].hasOwnProperty(node) &&
+          this.graph[adjNode][node] === weight;
+        if (isBidirectional) {
+          collapsed.add(`${adjNode}\u0000${node}`);
+          attributes.push("dir=none");
+        }
+        if (weight === Infinity) attributes.push("style=dashed");
+        if (
+          highlightedRoutes.has(`${node}\u0000${adjNode}`) ||
+          (isBidirectional && highlightedRoutes.has(`${adjNode}\u0000${node}`))
+        )
+          attributes.push(highlight);
+        lines.push(
+          `  ${quoteDOT(node)} -> ${quoteDOT(adjNode)} [${attributes.join(
+            ", "
+          )}];`
+        );
+      }
+    }
+    lines.push("}");
+    return lines.join("\n");
+  };
+
+  /**
+   * Creates a graph from a weighted graph in the Graphviz DOT language.
+   * The weight of each route is its weight or label attribute, and the toll cost of each node its cost attribute.
+   * Edges of undirected graphs (graph { A -- B }) and edges with dir=none or dir=both create bidirectional routes.
+   * @param {string} text - The DOT text (e.g. returned by toDOT).
+   * @param {Object} [options] - Parameters of the new graph ( @see Graph constructor ).
+   * @param {Number} [options.loggingLevel = 0] - The level of the logger used.
+   * @param {boolean} [options.ignoreErrors = true] - If false, an error will be thrown if the text is invalid.
+   * @param {Function} [options.logger] - The logger of the new graph ( @see Graph constructor ).
+   * @param {boolean} [options.allowNegativeWeights = false] - If true, edges can have negative weights ( @see Graph constructor ).
+   * @returns {Graph} The new graph, or null if the text is invalid.
+   * @throws {GraphError} If ignoreErrors is false, an error will be thrown in the following cases:
+   *   * If the text isn't valid DOT, or uses subgraphs or ports (not supported).
+   *   * If any node cost isn't a positive number.
+   *   * If any edge doesn't have a weight, or it isn't a positive number (or a non-zero number if allowNegativeWeights is true).
+   */
+  static fromDOT = (
+    text,
+    {
+      loggingLevel = 0,
+      ignoreErrors = true,
+      logger,
+      allowNegativeWeights = false,
+    } = {}
+  ) => {
+    const dot = parseDOT(text);
+    const errors = [];
+    const addError = (message, ErrorType = ParseError, options = {}) =>
+      errors.push(new ErrorType(message, options));
+    const toNumber = (value) =>
+      value === undefined || String(value).trim() === "" ? NaN : Number(value);
+
+    if (dot.error !== null) {
+      addError(`Invalid DOT text: ${dot.error}.`);
+    } else {
+      dot.nodes.forEach((attributes, node) => {
+        if (attributes.cost !== undefined && !(toNumber(attributes.cost) >= 0))
+          addError(
+            `Cost of node ${node} must be a positive number.`,
+            InvalidNodeCostError,
+            { nodes: [node] }
+          );
+      });
+      dot.edges.forEach(({ from, to, attributes, line }) => {
+        const weight =
+          attributes.weight !== undefined
+            ? attributes.weight
+            : attributes.label;
+        if (weight === undefined)
+          addError(
+            `Edge ${from} - ${to} (line ${line}) must have a weight or label attribute.`,
+            InvalidWeightError,
+            { nodes: [from, to] }
+          );
+        else if (
+          isNaN(toNumber(weight)) ||
+          toNumber(weight) === 0 ||
+          (toNumber(weight) < 0 && !allowNegativeWeights)
+        )
+          addError(
+            `Weight of edge ${from} - ${to} (line ${line}) must be a ${
+              allowNegativeWeights ? "non-zero" : "positive"
+            } number.`,
+            InvalidWeightError,
+            { nodes: [from, to] }
+          );
+      });
+    }
+
+    const graph = new Graph({
+      name: dot.name,
+      loggingLevel,
+      ignoreErrors,
+      logger,
+      allowNegativeWeights,
+    });
+    if (errors.length > 0) {
+      graph.logProcess(
+        graph.loggingLevels.MIN,
+        new ImportError(errors, {
+          title: "Invalid DOT graph:",
+          details: { format: "DOT" },
+        }),
+        true
+      );
+      return null;
+    }
+    dot.nodes.forEach((attributes, node) => {
+      graph.addNode(
+        attributes.cost !== undefined
+          ? { name: node, cost: toNumber(attributes.cost) }
+          : node
+      );
+    });
+    dot.edges.forEach(({ from, to, attributes }) => {
+      graph.addRoute(
+        from,
+        to,
+        toNumber(
+          attributes.weight !== undefined ? attributes.weight : attributes.label
+        ),
+        !dot.directed || attributes.dir === "none" || attributes.dir === "both"
+      );
+    });
+    return graph;
+  };
+
+  /**
+   * Returns the nodes and the routes of the graph as CSV, to edit them in a spreadsheet and restore them with Graph.fromCSV.
+   * Routes in both directions with the same weight are written as a single bidirectional route.
+   * @returns {Object} Object {nodes, routes} with the CSV of the nodes (name, cost, protectNodeCost) and of the routes (start, end, weight, bidirectional).
+   */
+  toCSV = () => {
+    const nodes = [toCSVRow(["name", "cost", "protectNodeCost"])];
+    for (const node in this.graph) {
+      nodes.push(
+        toCSVRow([node, this.costsNodes[node], this.#protectedNodesCost[node]])
+      );
+    }
+
+    const routes = [toCSVRow(["start", "end", "weight", "bidirectional"])];
+    const written = new Set();
+    for (const node in this.graph) {
+      for (const adjNode in this.graph[node]) {
+        if (written.has(`${node}\u0000${adjNode}`)) continue;
+        const weight = this.graph[node][adjNode];
+        const isBidirectional =
+          this.graph[adjNode].hasOwnProperty(node) &&
+          this.graph[adjNode][node] === weight;
+        if (isBidirectional) written.add(`${adjNode}\u0000${node}`);
+        routes.push(toCSVRow([node, adjNode, weight, isBidirectional]));
+      }
+    }
+    return { nodes: nodes.join("\n"), routes: routes.join("\n") };
+  };
+
+  /**
+   * Returns a matrix of the Floyd Warshall Algorithm as CSV, with a row and a column for each node.
+   * @param {Object} [matrix] - The matrix {row: {column: value}}, by default the distance matrix of the last findMatricesFloydWarshall.
+   * @returns {string} The CSV of the matrix.
+   * @throws {GraphError} If isError is true and ignoreErrors is false, an error will be thrown in the following cases:
+   *   * If the matrix isn't given and the Floyd Warshall Algorithm hasn't been executed previously.
+   *   * If the matrices are outdated and this.staleMatrices is "reject".
+   */
+  distanceMatrixToCSV = (matrix = null) => {
+    if (matrix == null) {
+      if (!this.#checkMatricesVersion()) return this;
+      matrix = this.#distanceMatrix;
+    }
+    if (matrix == null) {
+      this.logProcess(
+        this.loggingLevels.MIN,
+        new MatricesNotComputedError(
+          "Distance Matrix is required to export it. Firstly run findMatricesFloydWarshall"
+        ),
+        true
+      );
+      return this;
+    }
+    const columns = Object.keys(matrix);
+    return [toCSVRow([""].concat(columns))]
+      .concat(
+        columns.map((row) =>
+          toCSVRow([row].concat(columns.map((column) => matrix[row][column])))
+        )
+      )
+      .join("\n");
+  };
+
+  /**
+   * Creates a graph from CSV files of nodes and routes, as written by toCSV. The first row of each file is the header,
+   * and its columns can be in any order (other columns are ignored).
+   * @param {Object} csv - The CSV texts.
+   * @param {string} [csv.nodes = null] - CSV of the nodes, with columns name, cost (optional) and protectNodeCost (optional).
+   * @param {string} csv.routes - CSV of the routes, with columns start, end, weight and bidirectional (optional).
+   * @param {Object} [options] - Parameters of the new graph ( @see Graph constructor ).
+   * @param {Number} [options.loggingLevel = 0] - The level of the logger used.
+   * @param {boolean} [options.ignoreErrors = true] - If false, an error will be thrown if any row is invalid.
+   * @param {Function} [options.logger] - The logger of the new graph ( @see Graph constructor ).
+   * @param {boolean} [options.autoCreateNodes] - If true, the nodes of the routes that aren't in the CSV of the nodes are created.
+   * By default, true only if there isn't CSV of the nodes.
+   * @param {boolean} [options.allowNegativeWeights = false] - If true, routes can have negative weights ( @see Graph constructor ).
+   * @returns {Graph} The new graph, or null if any row is invalid.
+   * @throws {GraphError} If ignoreErrors is false, an error will be thrown with every invalid row (and its line) in the following cases:
+   *   * If a required column is missing.
+   *   * If a node is repeated, or its cost isn't a positive number.
+   *   * If a route is repeated, goes to itself or its nodes don't exist (and autoCreateNodes is false).
+   *   * If the weight of a route isn't a positive number (or a non-zero number if allowNegativeWeights is true).
+   *   * If a boolean field (protectNodeCost, bidirectional) isn't true/false, yes/no or 1/0.
+   */
+  static fromCSV = (
+    { nodes = null, routes = null } = {},
+    {
+      loggingLevel = 0,
+      ignoreErrors = true,
+      logger,
+      autoCreateNodes = nodes == null,
+      allowNegativeWeights = false,
+    } = {}
+  ) => {
+    const errors = [];
+    const addError = (message, ErrorType = ParseError, options = {}) =>
+      errors.push(new ErrorType(message, options));
+    const readCSV = (text, file, columns, requiredColumns) => {
+      const { rows, error } = parseCSV(text);
+      if (error !== null) {
+        addError(`Invalid CSV of ${file}: ${error}.`);
+        return [];
+      }
+      if (rows.length === 0) {
+        addError(`CSV of ${file} must have a header row.`);
+        return [];
+      }
+      const header = rows[0].fields.map((field) => field.trim().toLowerCase());
+      const indexes = {};
+      columns.forEach((column) => {
+        indexes[column] = header.indexOf(column.toLowerCase());
+      });
+      const missingColumns = requiredColumns.filter(
+        (column) => indexes[column] === -1
+      );
+      if (missingColumns.length > 0) {
+        addError(
+          `CSV of ${file} must have the columns ${missingColumns.join(", ")}.`
+        );
+        return [];
+      }
+      return rows.slice(1).map(({ fields, line }) => {
+        const row = { line };
+        columns.forEach((column) => {
+          row[column] =
+            indexes[column] !== -1 && fields[indexes[column]] !== undefined
+              ? fields[indexes[column]].trim()
+              : "";
+        });
+        return row;
+      });
+    };
+
+    const nodeRows =
+      nodes == null
+        ? []
+        : readCSV(
+            nodes,
+            "nodes",
+            ["name", "cost", "protectNodeCost"],
+            ["name"]
+          );
+    const routeRows =
+      routes == null
+        ? []
+        : readCSV(
+            routes,
+            "routes",
+            ["start", "end", "weight", "bidirectional"],
+            ["start", "end", "weight"]
+          );
+    if (routes == null) addError("CSV of the routes is required.");
+
+    const nodeNames = new Set();
+    nodeRows.forEach((row) => {
+      const at = `Line ${row.line} of nodes:`;
+      if (row.name === "") addError(`${at} Node name is required.`);
+      else if (nodeNames.has(row.name))
+        addError(`${at} Node ${row.name} is repeated.`, NodeExistsError, {
+          nodes: [row.name],
+        });
+      nodeNames.add(row.name);
+      if (row.cost !== "" && !(Number(row.cost) >= 0))
+        addError(
+          `${at} Cost of node ${row.name} must be a positive number.`,
+          InvalidNodeCostError,
+          { nodes: [row.name] }
+        );
+      row.protectNodeCost = parseBooleanField(row.protectNodeCost);
+      if (row.protectNodeCost === null)
+        addError(`${at} protectNodeCost must be true or false.`);
+    });
+    const routeNames = new Set();
+    routeRows.forEach((row) => {
+      const at = `Line ${row.line} of routes:`;
+      if (row.start === "" || row.end === "")
+        addError(`${at} Starting and ending nodes are required.`);
+      else if (row.start === row.end)
+        addError(
+          `${at} Can't create a route to itself (${row.start}).`,
+          InvalidArgumentError,
+          { nodes: [row.start] }
+        );
+      [row.start, row.end]
+        .filter((node) => node !== "" && !nodeNames.has(node))
+        .forEach((node) => {
+          if (autoCreateNodes) nodeNames.add(node);
+          else
+            addError(`${at} Node ${node} doesn't exist.`, NodeNotFoundError, {
+              nodes: [node],
+            });
+        });
+      const weight = Number(row.weight);
+      if (isNaN(weight) || weight == 0 || (weight < 0 && !allowNegativeWeights))
+        addError(
+          `${at} Weight of the route must be a ${
+            allowNegativeWeights ? "non-zero" : "positive"
+          } number.`,
+          InvalidWeightError,
+          { nodes: [row.start, row.end] }
+        );
+      row.bidirectional = parseBooleanField(row.bidirectional);
+      if (row.bidirectional === null)
+        addError(`${at} bidirectional must be true or false.`);
+      const keys = [`${row.start}\u0000${row.end}`];
+      if (row.bidirectional) keys.push(`${row.end}\u0000${row.start}`);
+      keys.forEach((key) => {
+        if (routeNames.has(key))
+          addError(
+            `${at} Route ${key.replace("\u0000", " - ")} is repeated.`,
+            RouteExistsError,
+            { nodes: key.split("\u0000") }
+          );
+        routeNames.add(key);
+      });
+    });
+
+    const graph = new Graph({
+      loggingLevel,
+      ignoreErrors,
+      logger,
+      autoCreateNodes,
+      allowNegativeWeights,
+    });
+    if (errors.length > 0) {
+      graph.logProcess(
+        graph.loggingLevels.MIN,
+        new ImportError(errors, {
+          title: "Invalid CSV graph:",
+          details: { format: "CSV" },
+        }),
+        true
+      );
+      return null;
+    }
+    nodeRows.forEach((row) => {
+      graph.addNode({
+        name: row.name,
+        cost: row.cost !== "" ? Number(row.cost) : graph.constantNodesCost,
+        protectNodeCost: row.protectNodeCost,
+      });
+    });
+    routeRows.forEach((row) => {
+      graph.addRoute(row.start, row.end, Number(row.weight), row.bidirectional);
+    });
+    return graph;
+  };
+
+  /**
+   * Returns the graph as a GraphML document (e.g. for yEd or Gephi). The toll cost and protected cost of the nodes,
+   * their coordinates and the weight of the routes are written as GraphML keys. Routes in both directions with the same weight
+   * are written as a single undirected edge, and Infinity (avoided nodes and routes) as INF.
+   * @returns {string} The GraphML document.
+   */
+  toGraphML = () => {
+    const toDouble = (value) =>
+      value === Infinity ? "INF" : value === -Infinity ? "-INF" : value;
+    const nodes = Object.keys(this.graph);
+    const keys = [
+      ["cost", "node", "double"],
+      ["protectNodeCost", "node", "boolean"],
+    ];
+    if (nodes.some((node) => (this.coordinatesNodes[node] || {}).x != null))
+      keys.push(["x", "node", "double"], ["y", "node", "double"]);
+    if (nodes.some((node) => (this.coordinatesNodes[node] || {}).lat != null))
+      keys.push(["lat", "node", "double"], ["lon", "node", "double"]);
+    keys.push(["weight", "edge", "double"]);
+
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    ];
+    keys.forEach(([name, domain, type]) =>
+      lines.push(
+        `  <key id="${name}" for="${domain}" attr.name="${name}" attr.type="${type}"${
+          name === "protectNodeCost" ? "><default>false</default></key>" : "/>"
+        }`
+      )
+    );
+    lines.push(
+      `  <graph id="${encodeXML(
+        this.name != null ? this.name : "G"
+      )}" edgedefault="directed">`
+    );
+    nodes.forEach((node) => {
+      const data = [];
+      if (this.costsNodes[node] !== undefined)
+        data.push(["cost", toDouble(this.costsNodes[node])]);
+      if (this.#protectedNodesCost[node]) data.push(["protectNodeCost", true]);
+      const coordinates = this.coordinatesNodes[node] || {};
+      ["x", "y", "lat", "lon"]
+        .filter((coordinate) => coordinates[coordinate] != null)
+        .forEach((coordinate) =>
+          data.push([coordinate, coordinates[coordinate]])
+        );
+      lines.push(
+        `    <node id="${encodeXML(node)}">${data
+          .map(([key, value]) => `<data key="${key}">${value}</data>`)
+          .join("")}</node>`
+      );
+    });
+
+    const written = new Set();
+    nodes.forEach((node) => {
+      for (const adjNode in this.graph[node]) {
+        if (written.has(`${node}\u0000${adjNode}`)) continue;
+        const weight = this.graph[node][adjNode];
+        const isBidirectional =
+          this.graph[adjNode].hasOwnProperty(node) &&
+          this.graph[adjNode][node] === weight;
+        if (isBidirectional) written.add(`${adjNode}\u0000${node}`);
+        lines.push(
+          `    <edge source="${encodeXML(node)}" target="${encodeXML(
+            adjNode
+          )}"${
+            isBidirectional ? ' directed="false"' : ""
+          }><data key="weight">${toDouble(weight)}</data></edge>`
+        );
+      }
+    });
+    lines.push("  </graph>", "</graphml>");
+    return lines.join("\n");
+  };
+
+  /**
+   * Creates a graph from a GraphML document (e.g. exported by yEd or Gephi), without any external service.
+   * The toll cost, protected cost and coordinates of the nodes are read from the keys named cost, protectNodeCost, x, y, lat and lon,
+   * and the weight of the routes from the key named weight (1 if the edge doesn't have it). Undirected edges create bidirectional routes.
+   * Unsupported features (other keys, nested graphs, hyperedges, ports, self-loops, parallel edges, several graphs) are ignored and logged.
+   * @param {string} xml - The GraphML document.
+   * @param {Object} [options] - Parameters of the new graph ( @see Graph constructor ).
+   * @param {Number} [options.loggingLevel = 0] - The level of the logger used.
+   * @param {boolean} [options.ignoreErrors = true] - If false, an error will be thrown if the document is invalid.
+   * @param {Function} [options.logger] - The logger of the new graph ( @see Graph constructor ).
+   * @param {boolean} [options.allowNegativeWeights = false] - If true, edges can have negative weights ( @see Graph constructor ).
+   * @returns {Graph} The new graph, or null if the document is invalid.
+   * @throws {GraphError} If ignoreErrors is false, an error will be thrown in the following cases:
+   *   * If the document isn't well-formed XML, or it doesn't have a graphml element with a graph.
+   *   * If any node doesn't have an id, or its cost, protected cost or coordinates are invalid.
+   *   * If any edge doesn't have source or target, its nodes don't exist or its weight isn't a positive number
+   *     (or a non-zero number if allowNegativeWeights is true).
+   */
+  static fromGraphML = (
+    xml,
+    {
+      loggingLevel = 0,
+      ignoreErrors = true,
+      logger,
+      allowNegativeWeights = false,
+    } = {}
+  ) => {
+    const graphml = parseGraphML(xml);
+    const errors = [];
+    const addError = (message, ErrorType = ParseError, options = {}) =>
+      errors.push(new ErrorType(message, options));
+    const toNumber = (value) => {
+      const text = String(value).trim();
+      if (/^[+-]?INF$/i.test(text))
+        return text[0] === "-" ? -Infinity : Infinity;
+      return text === "" ? NaN : Number(text);
+    };
+
+    const nodes = new Set();
+    if (graphml.error !== null) {
+      addError(`Invalid GraphML document: ${graphml.error}.`);
+    } else {
+      graphml.nodes.forEach(({ id, data, line }) => {
+        if (nodes.has(id))
+          addError(`Node ${id} (line ${line}) is repeated.`, NodeExistsError, {
+            nodes: [id],
+          });
+        nodes.add(id);
+        if (data.cost !== undefined && !(toNumber(data.cost) >= 0))
+          addError(
+            `Cost of node ${id} (line ${line}) must be a positive number.`,
+            InvalidNodeCostError,
+            { nodes: [id] }
+          );
+        if (
+          data.protectNodeCost !== undefined &&
+          parseBooleanField(data.protectNodeCost) === null
+        )
+          addError(
+            `protectNodeCost of node ${id} (line ${line}) must be true or false.`
+          );
+        ["x", "y", "lat", "lon"]
+          .filter(
+            (coordinate) =>
+              data[coordinate] !== undefined &&
+              !Number.isFinite(toNumber(data[coordinate]))
+          )
+          .forEach((coordinate) =>
+            addError(
+              `Coordinate ${coordinate} of node ${id} (line ${line}) must be a number.`
+            )
+          );
+      });
+      graphml.edges.forEach(({ source, target, data, line }) => {
+        [source, target]
+          .filter((node) => !nodes.has(node))
+          .forEach((node) =>
+            addError(
+              `Node ${node} of edge (line ${line}) doesn't exist.`,
+              NodeNotFoundError,
+              { nodes: [node] }
+            )
+          );
+        const weight = toNumber(data.weight);
+        if (
+          data.weight !== undefined &&
+          (isNaN(weight) ||
+            weight == 0 ||
+            (weight < 0 && !allowNegativeWeights))
+        )
+          addError(
+            `Weight of edge ${source} - ${target} (line ${line}) must be a ${
+              allowNegativeWeights ? "non-zero" : "positive"
+            } number.`,
+            InvalidWeightError,
+            { nodes: [source, target] }
+          );
+      });
+    }
+
+    const graph = new Graph({
+      name: graphml.name,
+      loggingLevel,
+      ignoreErrors,
+      logger,
+      allowNegativeWeights,
+    });
+    if (errors.length > 0) {
+      graph.logProcess(
+        graph.loggingLevels.MIN,
+        new ImportError(errors, {
+          title: "Invalid GraphML graph:",
+          details: { format: "GraphML" },
+        }),
+        true
+      );
+      return null;
+    }
+    graphml.warnings.forEach((warning) =>
+      graph.logProcess(graph.loggingLevels.MIN, `GraphML: ${warning}`)
+    );
+    graphml.nodes.forEach(({ id, data }) => {
+      const node = {
+        name: id,
+        cost:
+          data.cost !== undefined
+            ? toNumber(data.cost)
+            : graph.constantNodesCost,
+        protectNodeCost:
+          data.protectNodeCost !== undefined &&
+          parseBooleanField(data.protectNodeCost),
+      };
+      ["x", "y", "lat", "lon"]
+        .filter((coordinate) => data[coordinate] !== undefined)
+        .forEach((coordinate) => {
+          node[coordinate] = toNumber(data[coordinate]);
+        });
+      graph.addNode(node);
+    });
+    graphml.edges.forEach(({ source, target, directed, data }) => {
+      graph.addRoute(
+        source,
+        target,
+        data.weight !== undefined ? toNumber(data.weight) : 1,
+        !directed
+      );
+    });
+    return graph;
+  };
+
+  /**
+   * Returns the weights of the routes as a matrix, in the same shape as the distance matrix of findMatricesFloydWarshall
+   * but with the raw weights: toll costs aren't added and the costs aren't formatted.
+   * @returns {Object} Matrix {startNode: {endNode: weight}}, with 0 from each node to itself and Infinity if there isn't a route (or it's avoided).
+   */
+  toAdjacencyMatrix = () => {
+    const matrix = {};
+    for (const node in this.graph) {
+      matrix[node] = {};
+      for (const adjNode in this.graph) {
+        matrix[node][adjNode] =
+          node === adjNode
+            ? 0
+            : this.graph[node].hasOwnProperty(adjNode)
+            ? this.graph[node][adjNode]
+            : Infinity;
+      }
+    }
+    return matrix;
+  };
+
+  /**
+   * Creates a graph from a square matrix of weights, where each value is the weight of the route from the node of its row
+   * to the node of its column (e.g. returned by toAdjacencyMatrix). Values in the diagonal are ignored, and
+   * empty values (null, undefined, "") and infinityToken mean that there isn't a route.
+   * @param {(Object|Array)} matrix - Nested object {startNode: {endNode: weight}}, or 2D array of weights.
+   * @param {Object} [options] - Options of the conversion and parameters of the new graph ( @see Graph constructor ).
+   * @param {Array} [options.nodeNames] - Names of the nodes of a 2D array, in the order of its rows (by default "0", "1", ...).
+   * @param {(string|Number)} [options.treatZeroAs = "missing"] - Meaning of a zero weight: no route ("missing"), an invalid value ("error")
+   * or the weight used instead ( @see Constants.MatrixZeroValues ).
+   * @param {*} [options.infinityToken = "Infinity"] - Value that means that there isn't a route (Infinity always means it).
+   * @param {(Object|Array)} [options.nodeCosts] - Toll costs of the nodes, as object {node: cost} or array in the order of the nodes.
+   * @param {Number} [options.loggingLevel = 0] - The level of the logger used.
+   * @param {boolean} [options.ignoreErrors = true] - If false, an error will be thrown if the matrix is invalid.
+   * @param {Function} [options.logger] - The logger of the new graph ( @see Graph constructor ).
+   * @param {boolean} [options.allowNegativeWeights = false] - If true, the weights can be negative ( @see Graph constructor ).
+   * @returns {Graph} The new graph, or null if the matrix is invalid.
+   * @throws {GraphError} If ignoreErrors is false, an error will be thrown in the following cases:
+   *   * If the matrix isn't a nested object or a square 2D array.
+   *   * If nodeNames doesn't have a unique name for each row, or treatZeroAs isn't valid.
+   *   * If any weight isn't a positive number, or a non-zero number if allowNegativeWeights is true (zero is only invalid if treatZeroAs is "error").
+   *   * If any node cost isn't a positive number or its node doesn't exist.
+   */
+  static fromMatrix = (
+    matrix,
+    {
+      nodeNames = null,
+      treatZeroAs = MatrixZeroValues.MISSING,
+      infinityToken = "Infinity",
+      nodeCosts = null,
+      loggingLevel = 0,
+      ignoreErrors = true,
+      logger,
+      allowNegativeWeights = false,
+    } = {}
+  ) => {
+    const errors = [];
+    const addError = (message, ErrorType = ParseError, options = {}) =>
+      errors.push(new ErrorType(message, options));
+
+    let nodes = [];
+    const routes = [];
+    if (
+      !Object.values(MatrixZeroValues).includes(treatZeroAs) &&
+      !(typeof treatZeroAs === "number" && treatZeroAs > 0)
+    ) {
+      addError(
+        `treatZeroAs must be a positive number or one of ${Object.values(
+          MatrixZeroValues
+        ).join(", ")}.`,
+        InvalidArgumentError,
+        { details: { treatZeroAs } }
+      );
+    }
+    if (Array.isArray(matrix)) {
+      nodes =
+        nodeNames !== null
+          ? nodeNames.map(String)
+          : matrix.map((row, i) => String(i));
+      if (
+        nodes.length !== matrix.length ||
+        new Set(nodes).size !== nodes.length
+      )
+        addError(
+          `nodeNames must have ${matrix.length} unique names, one for each row.`,
+          InvalidArgumentError,
+          { details: { nodeNames } }
+        );
+      matrix.forEach((row, i) => {
+        if (!Array.isArray(row) || row.length !== matrix.length) {
+          addError(`Row ${i} must be an array of ${matrix.length} weights.`);
+          return;
+        }
+        row.forEach((value, j) =>
+          routes.push([nodes[i], nodes[j], value, `[${i}][${j}]`])
+        );
+      });
+    } else if (typeof matrix === "object" && matrix !== null) {
+      nodes = Object.keys(matrix);
+      for (const node in matrix) {
+        if (typeof matrix[node] !== "object" || matrix[node] === null) {
+          addError(`Row ${node} must be an object {node: weight}.`);
+          continue;
+        }
+        for (const adjNode in matrix[node]) {
+          if (!nodes.includes(adjNode)) nodes.push(adjNode);
+          routes.push([
+            node,
+            adjNode,
+            matrix[node][adjNode],
+            `[${node}][${adjNode}]`,
+          ]);
+        }
+      }
+    } else {
+      addError("The matrix must be a nested object or a 2D array.");
+    }
+
+    const weights = [];
+    routes.forEach(([node, adjNode, value, cell]) => {
+      if (
+        node === adjNode ||
+        value == null ||
+        value === "" ||
+        value === infinityToken ||
+        Number(value) === Infinity
+      )
+        return;
+      let weight = Number(value);
+      if (weight === 0 && treatZeroAs === MatrixZeroValues.MISSING) return;
+      if (weight === 0 && typeof treatZeroAs === "number") weight = treatZeroAs;
+      if (
+        typeof value === "boolean" ||
+        isNaN(weight) ||
+        weight === 0 ||
+        (weight < 0 && !allowNegativeWeights)
+      )
+        addError(
+          `Weight ${value} of cell ${cell} must be a ${
+            allowNegativeWeights ? "non-zero" : "positive"
+          } number.`,
+          InvalidWeightError,
+          { nodes: [node, adjNode], details: { weight: value } }
+        );
+      else weights.push([node, adjNode, weight]);
+    });
+
+    const costs = {};
+    if (Array.isArray(nodeCosts)) {
+      if (nodeCosts.length !== nodes.length)
+        addError(
+          `nodeCosts must have ${nodes.length} costs, one for each node.`,
+          InvalidArgumentError,
+          { details: { nodeCosts } }
+        );
+      nodeCosts.forEach((cost, i) => (costs[nodes[i]] = cost));
+    } else if (nodeCosts !== null) {
+      Object.assign(costs, nodeCosts);
+    }
+    for (const node in costs) {
+      if (!nodes.includes(node))
+        addError(
+          `Node ${node} of nodeCosts doesn't exist in the matrix.`,
+          NodeNotFoundError,
+          { nodes: [node] }
+        );
+      else if (costs[node] == null || isNaN(costs[node]) || costs[node] < 0)
+        addError(
+          `Cost of node ${node} must be a positive number.`,
+          InvalidNodeCostError,
+          { nodes: [node], details: { cost: costs[node] } }
+        );
+    }
+
+    const graph = new Graph({
+      loggingLevel,
+      ignoreErrors,
+      logger,
+      allowNegativeWeights,
+    });
+    if (errors.length > 0) {
+      graph.logProcess(
+        graph.loggingLevels.MIN,
+        new ImportError(errors, {
+          title: "Invalid matrix:",
+          details: { format: "matrix" },
+        }),
+        true
+      );
+      return null;
+    }
+    nodes.forEach((node) =>
+      graph.addNode({
+        name: node,
+        cost: costs.hasOwnProperty(node)
+          ? Number(costs[node])
+          : graph.constantNodesCost,
+      })
+    );
+    weights.forEach(([node, adjNode, weight]) =>
+      graph.addRoute(node, adjNode, weight)
+    );
+    return graph;
   };
 };
@@ -0,0 +1,151 @@
+const { ErrorCodes } = require("./Constants");
+
+/**
+ * Class representing an error of a Graph, thrown by logProcess when ignoreErrors is false.
+ * Every subclass has a stable code ( @see Constants.ErrorCodes ), so callers can branch without matching the message.
+ * The subclasses are available as properties of this class (e.g. GraphError.NodeNotFoundError).
+ */
+class GraphError extends Error {
+  static code = ErrorCodes.GRAPH_ERROR;
+
+  /**
+   * Create an error.
+   * @param {string} message - The message of the error.
+   * @param {Object} [options] - Optional fields of the error.
+   * @param {Array} [options.nodes = []] - The nodes involved in the error.
+   * @param {Object} [options.details = {}] - Other values involved in the error (e.g. the invalid weight).
+   */
+  constructor(message, { nodes = [], details = {} } = {}) {
+    super(message);
+    this.name = new.target.name;
+    this.code = new.target.code;
+    this.nodes = nodes.map(String);
+    this.details = details;
+  }
+}
+
+/** Several errors found at once (e.g. every invalid parameter of a method), listed in details.errors */
+class ValidationError extends GraphError {
+  static code = ErrorCodes.VALIDATION_FAILED;
+
+  /**
+   * Create an error from the errors found, numbered in the message ("Error [1]: ...").
+   * @param {Array} errors - The errors found (GraphError).
+   * @param {Object} [options] - Optional fields of the error.
+   * @param {string} [options.title = ""] - First line of the message, before the errors.
+   * @param {Object} [options.details = {}] - Other values involved in the error, errors is added to them.
+   */
+  constructor(errors, { title = "", details = {} } = {}) {
+    super(
+      (title !== "" ? `${title}\n` : "") +
+        errors
+          .map((error, index) => `Error [${index + 1}]: ${error.message}\n`)
+          .join(""),
+      {
+        nodes: [...new Set([].concat(...errors.map((error) => error.nodes)))],
+        details: Object.assign({}, details, { errors }),
+      }
+    );
+  }
+}
+
+/** Invalid contents of an imported graph (JSON, DOT, CSV, GraphML or matrix), with the format in details.format */
+class ImportError extends ValidationError {
+  static code = ErrorCodes.INVALID_IMPORT;
+}
+
+/** Syntax error of an imported document, or a value that can't be read */
+class ParseError extends GraphError {
+  static code = ErrorCodes.PARSE_ERROR;
+}
+
+/** Invalid parameter of a method (or the constructor) */
+class InvalidArgumentError extends GraphError {
+  static code = ErrorCodes.INVALID_ARGUMENT;
+}
+
+/** Invalid weight (or metric, travel time profile, capacity, factor...) of a route */
+class InvalidWeightError extends InvalidArgumentError {
+  static code = ErrorCodes.INVALID_WEIGHT;
+}
+
+/** Invalid cost of a node */
+class InvalidNodeCostError extends InvalidArgumentError {
+  static code = ErrorCodes.INVALID_NODE_COST;
+}
+
+/** A node doesn't exist in the graph */
+class NodeNotFoundError extends GraphError {
+  static code = ErrorCodes.NODE_NOT_FOUND;
+}
+
+/** A node already exists in the graph */
+class NodeExistsError extends GraphError {
+  static code = ErrorCodes.NODE_EXISTS;
+}
+
+/** The starting node doesn't have any route to another node */
+class NodeWithoutRoutesError extends GraphError {
+  static code = ErrorCodes.NODE_WITHOUT_ROUTES;
+}
+
+/** A route doesn't exist in the graph */
+class RouteNotFoundError extends GraphError {
+  static code = ErrorCodes.ROUTE_NOT_FOUND;
+}
+
+/** A route already exists in the graph */
+class RouteExistsError extends GraphError {
+  static code = ErrorCodes.ROUTE_EXISTS;
+}
+
+/** The algorithm doesn't support negative weights */
+class NegativeWeightsError extends GraphError {
+  static code = ErrorCodes.NEGATIVE_WEIGHTS;
+}
+
+/** A negative cycle is reachable, so there isn't a cheapest path (the cycle is in details.cycle) */
+class NegativeCycleError extends GraphError {
+  static code = ErrorCodes.NEGATIVE_CYCLE;
+}
+
+/** The algorithm requires a graph without cycles */
+class CyclicGraphError extends GraphError {
+  static code = ErrorCodes.CYCLIC_GRAPH;
+}
+
+/** The algorithm requires an undirected graph, but a route isn't bidirectional */
+class DirectedRouteError extends GraphError {
+  static code = ErrorCodes.DIRECTED_ROUTE;
+}
+
+/** The matrices of the Floyd Warshall Algorithm haven't been computed */
+class MatricesNotComputedError extends GraphError {
+  static code = ErrorCodes.MATRICES_NOT_COMPUTED;
+}
+
+/** The matrices of the Floyd Warshall Algorithm are outdated and rejected ( @see Graph.staleMatrices ) */
+class OutdatedMatricesError extends GraphError {
+  static code = ErrorCodes.MATRICES_OUTDATED;
+}
+
+module.exports = Object.assign(GraphError, {
+  GraphError,
+  ValidationError,
+  ImportError,
+  ParseError,
+  InvalidArgumentError,
+  InvalidWeightError,
+  InvalidNodeCostError,
+  NodeNotFoundError,
+  NodeExistsError,
+  NodeWithoutRoutesError,
+  RouteNotFoundError,
+  RouteExistsError,
+  NegativeWeightsError,
+  NegativeCycleError,
+  CyclicGraphError,
+  DirectedRouteError,
+  MatricesNotComputedError,
+  OutdatedMatricesError,
+});
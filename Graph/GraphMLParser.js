@@ -0,0 +1,291 @@
+/**
+ * Parser of GraphML documents, used by Graph.fromGraphML. It works offline: the XML is parsed locally,
+ * and DTDs or schemas referenced by the document are never fetched.
+ * Only the first graph of the document is read. Nested graphs, hyperedges, ports, self-loops, parallel edges
+ * and keys other than the node cost, protectNodeCost, x, y, lat and lon and the edge weight aren't supported,
+ * and are reported as warnings.
+ */
+
+/** Attribute names of the keys read from GraphML, by the element they apply to. */
+const SUPPORTED_KEYS = {
+  node: ["cost", "protectNodeCost", "x", "y", "lat", "lon"],
+  edge: ["weight"],
+};
+
+const ENTITIES = { lt: "<", gt: ">", amp: "&", quot: '"', apos: "'" };
+
+/**
+ * Replaces the entities and character references of XML text.
+ * @param {string} text - The XML text.
+ * @returns {string} The decoded text.
+ */
+const decodeXML = (text) =>
+  text.replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);/g, (entity, reference) => {
+    if (reference[0] === "#")
+      return String.fromCodePoint(
+        reference[1] === "x"
+          ? parseInt(reference.slice(2), 16)
+          : parseInt(reference.slice(1), 10)
+      );
+    return ENTITIES.hasOwnProperty(reference) ? ENTITIES[reference] : entity;
+  });
+
+/**
+ * Escapes text to be written in XML (as content or inside a quoted attribute).
+ * @param {*} value - The value to escape.
+ * @returns {string} The escaped text.
+ */
+const encodeXML = (value) =>
+  String(value).replace(
+    /[<>&"']/g,
+    (char) =>
+      `&${Object.keys(ENTITIES).find((entity) => ENTITIES[entity] === char)};`
+  );
+
+/**
+ * Parses an XML document into a tree of elements {name, attributes, children, text, line},
+ * where name is the local name (without namespace prefix).
+ * @param {string} text - The XML document.
+ * @returns {Object} The root of the tree, whose children are the top-level elements.
+ * @throws {Error} If the document isn't well-formed.
+ */
+const parseXML = (text) => {
+  const root = { name: null, attributes: {}, children: [], text: "", line: 0 };
+  const stack = [root];
+  let line = 1;
+  let counted = 0;
+  const lineAt = (index) => {
+    for (; counted < index; counted++) {
+      if (text[counted] === "\n") line++;
+    }
+    return line;
+  };
+  const skipTo = (index, delimiter, construct) => {
+    const end = text.indexOf(delimiter, index);
+    if (end === -1)
+      throw new Error(`Unterminated ${construct} (line ${lineAt(index)})`);
+    return end + delimiter.length;
+  };
+
+  let i = 0;
+  while (i < text.length) {
+    const next = text.indexOf("<", i);
+    const top = stack[stack.length - 1];
+    top.text += decodeXML(text.slice(i, next === -1 ? text.length : next));
+    if (next === -1) break;
+    i = next;
+    if (text.startsWith("<!--", i)) {
+      i = skipTo(i + 4, "-->", "comment");
+    } else if (text.startsWith("<![CDATA[", i)) {
+      const end = skipTo(i + 9, "]]>", "CDATA section");
+      top.text += text.slice(i + 9, end - 3);
+      i = end;
+    } else if (text.startsWith("<?", i)) {
+      i = skipTo(i + 2, "?>", "processing instruction");
+    } else if (text.startsWith("<!", i)) {
+      const subset = text.indexOf("[", i);
+      const close = text.indexOf(">", i);
+      i =
+        subset !== -1 && subset < close
+          ? skipTo(subset, "]>", "document type")
+          : skipTo(i, ">", "document type");
+    } else {
+      let end = i + 1;
+      let quote = null;
+      while (end < text.length && (quote !== null || text[end] !== ">")) {
+        if (quote === null && (text[end] === '"' || text[end] === "'"))
+          quote = text[end];
+        else if (text[end] === quote) quote = null;
+        end++;
+      }
+      if (end >= text.length)
+        throw new Error(`Unterminated tag (line ${lineAt(i)})`);
+      const tag = text.slice(i + 1, end);
+      const tagLine = lineAt(i);
+      i = end + 1;
+      if (tag[0] === "/") {
+        const name = tag.slice(1).trim().replace(/^.*:/, "");
+        if (stack.length === 1 || top.name !== name)
+          throw new Error(
+            `Unexpected closing tag ${tag.slice(1).trim()} (line ${tagLine})`
+          );
+        stack.pop();
+        continue;
+      }
+      const selfClosing = tag.endsWith("/");
+      const match = (selfClosing ? tag.slice(0, -1) : tag).match(
+        /^([^\s/>]+)([\s\S]*)$/
+      );
+      if (match === null)
+        throw new Error(`Invalid tag <${tag}> (line ${tagLine})`);
+      const element = {
+        name: match[1].replace(/^.*:/, ""),
+        attributes: {},
+        children: [],
+        text: "",
+        line: tagLine,
+      };
+      const attributePattern = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+      let attribute;
+      while ((attribute = attributePattern.exec(match[2])) !== null) {
+        element.attributes[attribute[1]] = decodeXML(
+          attribute[2] !== undefined ? attribute[2] : attribute[3]
+        );
+      }
+      top.children.push(element);
+      if (!selfClosing) stack.push(element);
+    }
+  }
+  if (stack.length > 1)
+    throw new Error(
+      `Unclosed tag ${stack[stack.length - 1].name} (line ${
+        stack[stack.length - 1].line
+      })`
+    );
+  return root;
+};
+
+/**
+ * Parses a GraphML document.
+ * @param {string} xml - The GraphML document.
+ * @returns {Object} Object {name, nodes, edges, warnings, error}, where nodes is an array of {id, data, line},
+ * edges is an array of {source, target, directed, data, line}, data is an object {attributeName: value} with the supported keys,
+ * warnings is an array with the unsupported features found and error is the error found (null if the document is valid).
+ */
+const parseGraphML = (xml) => {
+  const result = { name: null, nodes: [], edges: [], warnings: [] };
+  const warn = (message) => result.warnings.push(message);
+  try {
+    const graphml = parseXML(String(xml)).children.find(
+      (element) => element.name === "graphml"
+    );
+    if (graphml === undefined) throw new Error("Missing graphml element");
+
+    const keys = {};
+    graphml.children
+      .filter((element) => element.name === "key")
+      .forEach((key) => {
+        const domain = key.attributes.for || "all";
+        const name = key.attributes["attr.name"];
+        const defaultValue = key.children.find(
+          (element) => element.name === "default"
+        );
+        const supported = Object.keys(SUPPORTED_KEYS).filter(
+          (element) =>
+            (domain === element || domain === "all") &&
+            SUPPORTED_KEYS[element].includes(name)
+        );
+        if (supported.length === 0) {
+          warn(
+            `Key ${key.attributes.id} (${
+              name || key.attributes["yfiles.type"] || "unnamed"
+            }) for ${domain} isn't supported and is ignored`
+          );
+          return;
+        }
+        keys[key.attributes.id] = {
+          name,
+          domains: supported,
+          default: defaultValue !== undefined ? defaultValue.text.trim() : null,
+        };
+      });
+
+    const readData = (element, domain) => {
+      const data = {};
+      Object.values(keys).forEach((key) => {
+        if (key.domains.includes(domain) && key.default !== null)
+          data[key.name] = key.default;
+      });
+      element.children
+        .filter((child) => child.name === "data")
+        .forEach((child) => {
+          const key = keys[child.attributes.key];
+          if (key !== undefined && key.domains.includes(domain))
+            data[key.name] = child.text.trim();
+        });
+      return data;
+    };
+
+    const graphs = graphml.children.filter(
+      (element) => element.name === "graph"
+    );
+    if (graphs.length === 0) throw new Error("Missing graph element");
+    if (graphs.length > 1)
+      warn(`Only the first of ${graphs.length} graphs is imported`);
+    const graph = graphs[0];
+    result.name = graph.attributes.id != null ? graph.attributes.id : null;
+    const edgeDefault = graph.attributes.edgedefault || "directed";
+
+    const routes = new Set();
+    graph.children.forEach((element) => {
+      if (element.name === "node") {
+        if (element.attributes.id == null)
+          throw new Error(`Node without id (line ${element.line})`);
+        element.children
+          .filter((child) => child.name === "graph" || child.name === "port")
+          .forEach((child) =>
+            warn(
+              `${child.name === "graph" ? "Nested graph" : "Port"} of node ${
+                element.attributes.id
+              } (line ${child.line}) isn't supported and is ignored`
+            )
+          );
+        result.nodes.push({
+          id: element.attributes.id,
+          data: readData(element, "node"),
+          line: element.line,
+        });
+      } else if (element.name === "edge") {
+        const { source, target } = element.attributes;
+        if (source == null || target == null)
+          throw new Error(
+            `Edge without source or target (line ${element.line})`
+          );
+        if (
+          element.attributes.sourceport != null ||
+          element.attributes.targetport != null
+        )
+          warn(
+            `Ports of edge ${source} - ${target} (line ${element.line}) aren't supported and are ignored`
+          );
+        const directed =
+          element.attributes.directed != null
+            ? element.attributes.directed === "true"
+            : edgeDefault === "directed";
+        if (source === target) {
+          warn(
+            `Self-loop on node ${source} (line ${element.line}) isn't supported and is ignored`
+          );
+          return;
+        }
+        const routeKeys = directed
+          ? [`${source}\u0000${target}`]
+          : [`${source}\u0000${target}`, `${target}\u0000${source}`];
+        if (routeKeys.some((key) => routes.has(key))) {
+          warn(
+            `Parallel edge ${source} - ${target} (line ${element.line}) isn't supported and is ignored`
+          );
+          return;
+        }
+        routeKeys.forEach((key) => routes.add(key));
+        result.edges.push({
+          source,
+          target,
+          directed,
+          data: readData(element, "edge"),
+          line: element.line,
+        });
+      } else if (element.name !== "data" && element.name !== "desc") {
+        warn(
+          `Element ${element.name} (line ${element.line}) isn't supported and is ignored`
+        );
+      }
+    });
+    result.error = null;
+  } catch (error) {
+    result.error = error.message;
+  }
+  return result;
+};
+
+module.exports = { parseGraphML, encodeXML };
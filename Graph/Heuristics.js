@@ -0,0 +1,55 @@
+/**
+ * Built-in heuristics for the A* Algorithm.
+ * Every heuristic receives the evaluated node, the ending node and the graph, and estimates
+ * the remaining weight of the routes between both nodes. If any of the nodes doesn't have
+ * coordinates, the estimation is 0 (the A* Algorithm then behaves as the Dijkstra Algorithm).
+ */
+
+/** Mean radius of the Earth in kilometers, used by the haversine heuristic. */
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+module.exports = Object.freeze({
+  /**
+   * Estimation that is always 0.
+   * @returns {Number} 0.
+   */
+  zero: () => 0,
+
+  /**
+   * Straight line distance between the {x, y} coordinates of two nodes.
+   * @param {string} node - The evaluated node.
+   * @param {string} endNode - The ending node of the path.
+   * @param {Graph} graph - The graph that contains both nodes.
+   * @returns {Number} The euclidean distance between both nodes.
+   */
+  euclidean: (node, endNode, graph) => {
+    const from = graph.coordinatesNodes[node];
+    const to = graph.coordinatesNodes[endNode];
+    if (from == null || to == null || from.x == null || to.x == null) return 0;
+    return Math.hypot(from.x - to.x, from.y - to.y);
+  },
+
+  /**
+   * Great-circle distance (in kilometers) between the {lat, lon} coordinates of two nodes.
+   * @param {string} node - The evaluated node.
+   * @param {string} endNode - The ending node of the path.
+   * @param {Graph} graph - The graph that contains both nodes.
+   * @returns {Number} The haversine distance between both nodes.
+   */
+  haversine: (node, endNode, graph) => {
+    const from = graph.coordinatesNodes[node];
+    const to = graph.coordinatesNodes[endNode];
+    if (from == null || to == null || from.lat == null || to.lat == null)
+      return 0;
+    const deltaLat = toRadians(to.lat - from.lat);
+    const deltaLon = toRadians(to.lon - from.lon);
+    const a =
+      Math.sin(deltaLat / 2) ** 2 +
+      Math.cos(toRadians(from.lat)) *
+        Math.cos(toRadians(to.lat)) *
+        Math.sin(deltaLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+  },
+});
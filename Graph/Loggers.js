@@ -0,0 +1,90 @@
+/**
+ * Built-in loggers of a Graph ( @see Graph constructor ).
+ * A logger is a function that receives every log record {level, graph, event, message, payload, label, timestamp}, where
+ * level is one of Constants.LoggingLevels, graph is the name of the graph, event is one of Constants.LogEvents,
+ * payload is the logged object (e.g. a matrix or a TableLog) or the GraphError, label is the label of the log (e.g. the iteration)
+ * and timestamp is the Date of the log. Only the records up to the logging level of the graph are received.
+ */
+
+const { LogEvents } = require("./Constants");
+
+/**
+ * Returns the label shown by the console logger: the label of the record, or its date and time.
+ * @param {Object} record - The log record.
+ * @returns {string} The label, preceded by the name of the graph.
+ */
+const consoleLabel = ({ graph, label, timestamp }) => {
+  const date =
+    timestamp.getFullYear() +
+    "-" +
+    (timestamp.getMonth() + 1) +
+    "-" +
+    timestamp.getDate();
+  const time =
+    String(timestamp.getHours()).padStart(2, "0") +
+    ":" +
+    String(timestamp.getMinutes()).padStart(2, "0") +
+    ":" +
+    String(timestamp.getSeconds()).padStart(2, "0");
+  return (
+    (graph != null ? graph + " - " : "") +
+    (label != null ? label : date + " " + time)
+  );
+};
+
+/**
+ * Replaces the values that JSON can't represent: infinite numbers (as strings) and errors (as objects).
+ * @param {string} key - The key of the value.
+ * @param {*} value - The value.
+ * @returns {*} The value to be written.
+ */
+const jsonReplacer = (key, value) => {
+  if (value === Infinity || value === -Infinity || Number.isNaN(value))
+    return String(value);
+  if (value instanceof Error)
+    return Object.assign({ name: value.name, message: value.message }, value);
+  return value;
+};
+
+module.exports = Object.freeze({
+  /**
+   * Logger that prints the records in console: messages with console.log and objects with console.table (default logger).
+   * @returns {Function} The logger.
+   */
+  console: () => (record) => {
+    if (record.event === LogEvents.TABLE) {
+      console.log(
+        `-----------------[START: ${consoleLabel(
+          record
+        )}] ---------------------`
+      );
+      console.table(record.payload);
+      console.log(
+        `-----------------[END: ${consoleLabel(record)}] ---------------------`
+      );
+    } else console.log(`[${consoleLabel(record)}]: ${record.message}`);
+  },
+
+  /**
+   * Logger that writes every record as a line of JSON (e.g. to be read by pino or winston).
+   * Infinite numbers are written as strings and errors as objects {name, message, code, nodes, details}.
+   * @param {Function} [write] - Function (line) => void that writes each line (with line break), by default to the standard output.
+   * @returns {Function} The logger.
+   */
+  jsonLines:
+    (write = (line) => process.stdout.write(line)) =>
+    (record) =>
+      write(JSON.stringify(record, jsonReplacer) + "\n"),
+
+  /**
+   * Logger that keeps the records in memory (e.g. to check or silence them in tests).
+   * @returns {Function} The logger, with the records received in its records property and a clear() method to remove them.
+   */
+  memory: () => {
+    const records = [];
+    const logger = (record) => records.push(record);
+    logger.records = records;
+    logger.clear = () => records.splice(0, records.length);
+    return logger;
+  },
+});
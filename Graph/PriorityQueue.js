@@ -0,0 +1,104 @@
+/** Class representing a binary min-heap used as the frontier of the algorithms */
+module.exports = class PriorityQueue {
+  /**
+   * Create an empty priority queue.
+   * Elements with the same priority are dequeued in insertion order.
+   */
+  constructor() {
+    this._heap = [];
+    this._sequence = 0;
+  }
+
+  /**
+   * Get the number of elements in the queue.
+   * @return {Number} The number of elements in the queue.
+   */
+  get size() {
+    return this._heap.length;
+  }
+
+  /**
+   * Returns true if the queue doesn't have any elements.
+   * @returns {boolean} If the queue is empty.
+   */
+  isEmpty() {
+    return this._heap.length === 0;
+  }
+
+  /**
+   * Adds an element to the queue.
+   * @param {*} value - The element to be added.
+   * @param {Number} priority - The priority of the element (lower is dequeued first).
+   * @returns {PriorityQueue} The queue.
+   */
+  push(value, priority) {
+    this._heap.push({ value, priority, sequence: this._sequence++ });
+    this._siftUp(this._heap.length - 1);
+    return this;
+  }
+
+  /**
+   * Returns the element with the lowest priority without removing it.
+   * @returns {Object} Object {value, priority} or null if the queue is empty.
+   */
+  peek() {
+    if (this._heap.length === 0) return null;
+    const { value, priority } = this._heap[0];
+    return { value, priority };
+  }
+
+  /**
+   * Removes and returns the element with the lowest priority.
+   * @returns {Object} Object {value, priority} or null if the queue is empty.
+   */
+  pop() {
+    if (this._heap.length === 0) return null;
+    const top = this._heap[0];
+    const last = this._heap.pop();
+    if (this._heap.length > 0) {
+      this._heap[0] = last;
+      this._siftDown(0);
+    }
+    return { value: top.value, priority: top.priority };
+  }
+
+  /**
+   * Compares two entries of the heap.
+   * @param {Number} i - Index of the first entry.
+   * @param {Number} j - Index of the second entry.
+   * @returns {boolean} If the first entry must be dequeued before the second one.
+   */
+  _less(i, j) {
+    const a = this._heap[i];
+    const b = this._heap[j];
+    if (a.priority === b.priority) return a.sequence < b.sequence;
+    return a.priority < b.priority;
+  }
+
+  _swap(i, j) {
+    [this._heap[i], this._heap[j]] = [this._heap[j], this._heap[i]];
+  }
+
+  _siftUp(index) {
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (!this._less(index, parent)) break;
+      this._swap(index, parent);
+      index = parent;
+    }
+  }
+
+  _siftDown(index) {
+    const length = this._heap.length;
+    for (;;) {
+      const left = 2 * index + 1;
+      const right = left + 1;
+      let smallest = index;
+      if (left < length && this._less(left, smallest)) smallest = left;
+      if (right < length && this._less(right, smallest)) smallest = right;
+      if (smallest === index) break;
+      this._swap(index, smallest);
+      index = smallest;
+    }
+  }
+};
@@ -0,0 +1,54 @@
+/** Class representing the cheapest paths from a node to every other node of a graph */
+module.exports = {
+  ShortestPathTree: class ShortestPathTree {
+    /**
+     * Create a shortest path tree.
+     * @param {string} root - The starting node of every path.
+     * @param {Object} distances - The distance (or weight) to get to each reachable node from the root.
+     * @param {Object} parents - The parent of each reachable node (except the root).
+     * @param {Function} [formatCost] - Function to format the cost of a path (see Graph.formatCost).
+     */
+    constructor(root, distances, parents, formatCost = (cost) => cost) {
+      this.root = root;
+      this.distances = distances;
+      this.parents = parents;
+      this._formatCost = formatCost;
+    }
+
+    /**
+     * Returns true if the node can be reached from the root.
+     * @param {string} node - The ending node of the path.
+     * @returns {boolean} If the node is reachable.
+     */
+    hasPathTo(node) {
+      return this.distances.hasOwnProperty(String(node));
+    }
+
+    /**
+     * Returns the cost of the cheapest path from the root to a node.
+     * @param {string} node - The ending node of the path.
+     * @returns {Number} The cost of the path formatted (Infinity if the node isn't reachable).
+     */
+    costTo(node) {
+      return this._formatCost(
+        this.hasPathTo(node) ? this.distances[String(node)] : Infinity
+      );
+    }
+
+    /**
+     * Returns the cheapest path from the root to a node.
+     * @param {string} node - The ending node of the path.
+     * @returns {Array} The nodes of the path (empty if the node isn't reachable).
+     */
+    pathTo(node) {
+      node = String(node);
+      if (!this.hasPathTo(node)) return [];
+      const path = [node];
+      while (node !== this.root) {
+        node = this.parents[node];
+        path.unshift(node);
+      }
+      return path;
+    }
+  },
+};
@@ -0,0 +1,115 @@
+/** Minutes of a day, default period of a profile. */
+const MINUTES_PER_DAY = 1440;
+
+/**
+ * Converts a time of day ("HH:MM") or a number of minutes to minutes.
+ * @param {(string|Number)} time - The time of day.
+ * @returns {Number} The minutes since midnight (NaN if the time is invalid).
+ */
+const toMinutes = (time) => {
+  if (typeof time === "string" && /^\d{1,2}:\d{2}$/.test(time)) {
+    const [hours, minutes] = time.split(":").map(Number);
+    return minutes < 60 ? hours * 60 + minutes : NaN;
+  }
+  return time === "" || time === null ? NaN : Number(time);
+};
+
+/** Class representing a piecewise linear travel time profile, keyed by time of day */
+module.exports = {
+  toMinutes,
+  TimeProfile: class TimeProfile {
+    /**
+     * Create a travel time profile.
+     * @param {Object} points - Object {time: weight} with the weight (travel time) of the route at each time of day,
+     * where time is a "HH:MM" string or a number of minutes. Weights between two times are interpolated linearly.
+     * @param {Number} [period = 1440] - The period of the profile, by default a day in minutes.
+     */
+    constructor(points, period = MINUTES_PER_DAY) {
+      this.period = period;
+      this.points = Object.keys(points || {})
+        .map((time) => [toMinutes(time), Number(points[time])])
+        .sort((a, b) => a[0] - b[0]);
+    }
+
+    /**
+     * Get the minimum weight of the profile.
+     * @return {Number} The minimum weight of the profile.
+     */
+    get min() {
+      return Math.min(...this.points.map(([, weight]) => weight));
+    }
+
+    /**
+     * Returns the reason why the profile is invalid.
+     * A profile is valid if it has at least one point, every time is in [0, period), every weight is positive
+     * and leaving later never means arriving earlier (FIFO, the weight never decreases faster than time).
+     * @returns {string} The reason why the profile is invalid, or null if it's valid.
+     */
+    validate() {
+      if (!(this.period > 0))
+        return "The period of the profile must be a positive number";
+      if (this.points.length === 0)
+        return "The profile must have at least one point";
+      for (const [time, weight] of this.points) {
+        if (!(time >= 0 && time < this.period))
+          return `Time ${time} of the profile must be in [0, ${this.period})`;
+        if (!(weight > 0) || weight === Infinity)
+          return `Weight ${weight} of the profile must be a positive number`;
+      }
+      for (let i = 1; i < this.points.length; i++) {
+        if (this.points[i][0] === this.points[i - 1][0])
+          return `Time ${this.points[i][0]} of the profile is repeated`;
+      }
+      for (let i = 0; i < this.points.length; i++) {
+        const [time, weight] = this.points[i];
+        const [nextTime, nextWeight] =
+          i + 1 < this.points.length
+            ? this.points[i + 1]
+            : [this.points[0][0] + this.period, this.points[0][1]];
+        if (nextTime > time && nextWeight - weight < time - nextTime)
+          return `The profile doesn't satisfy FIFO between times ${time} and ${nextTime}`;
+      }
+      return null;
+    }
+
+    /**
+     * Returns a copy of the profile with every weight multiplied by a factor.
+     * @param {Number} factor - Positive factor to multiply to every weight.
+     * @returns {TimeProfile} The scaled profile.
+     */
+    scale(factor) {
+      const points = {};
+      this.points.forEach(([time, weight]) => (points[time] = weight * factor));
+      return new TimeProfile(points, this.period);
+    }
+
+    /**
+     * Returns the weight (travel time) of the route when leaving at a time.
+     * @param {Number} time - The time of departure, in the unit of the profile.
+     * @returns {Number} The interpolated weight.
+     */
+    at(time) {
+      const points = this.points;
+      if (points.length === 1) return points[0][1];
+      const t = ((time % this.period) + this.period) % this.period;
+      let i = points.length - 1;
+      while (i >= 0 && points[i][0] > t) i--;
+      //Before the first point, interpolate from the last point of the previous period.
+      const [fromTime, fromWeight] =
+        i >= 0
+          ? points[i]
+          : [
+              points[points.length - 1][0] - this.period,
+              points[points.length - 1][1],
+            ];
+      const [toTime, toWeight] =
+        i + 1 < points.length
+          ? points[i + 1]
+          : [points[0][0] + this.period, points[0][1]];
+      return (
+        fromWeight +
+        ((toWeight - fromWeight) * (t - fromTime)) / (toTime - fromTime)
+      );
+    }
+  },
+};
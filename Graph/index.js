@@ -1,5 +1,11 @@
 module.exports = {
     Graph: require('./Graph'),
     Constants: require('./Constants'),
-    TableLog: require('./TableLog')
-};
\ No newline at end of file
+    TableLog: require('./TableLog'),
+    PriorityQueue: require('./PriorityQueue'),
+    Heuristics: require('./Heuristics'),
+    ShortestPathTree: require('./ShortestPathTree'),
+    TimeProfile: require('./TimeProfile'),
+    GraphError: require('./GraphError'),
+    Loggers: require('./Loggers')
+};
@@ -63,9 +63,17 @@ clients.forEach((client) => {
   literal_b["Costs"][`Client ${client}`] = response.cost;
 });
 console.log("literal_b", literal_b);
+//Same paths using a single execution of Dijkstra Algorithm.
+const { tree } = graph.findAllPathsFrom(origin);
 clients.forEach((client) =>
-  console.log(`\t Client ${client}: `, graph.findPathDijkstra(origin, client))
+  console.log(`\t Client ${client}: `, {
+    cost: tree.costTo(client),
+    path: tree.pathTo(client),
+  })
 );
+//Single tour from the origin visiting every client, using the Floyd Warshall matrices.
+const tour = graph.findTour(origin, clients);
+console.log("Tour", { cost: tour.cost, order: tour.order, path: tour.path });
 
 //C) New client, new routes, find best path using Dijkstra.
 graph
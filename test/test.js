@@ -1,6 +1,10 @@
 const should = require("chai").should();
 const { expect } = require("chai");
-const { Graph } = require("../Graph");
+const { Graph, Constants, GraphError, Loggers } = require("../Graph");
+const { TableLog } = require("../Graph/TableLog");
+const PriorityQueue = require("../Graph/PriorityQueue");
+const { ShortestPathTree } = require("../Graph/ShortestPathTree");
+const { TimeProfile } = require("../Graph/TimeProfile");
 describe("Graph manipulation", function () {
   describe("Node manipulation", function () {
     describe("addNode()", function () {
@@ -141,6 +145,47 @@ describe("Graph manipulation", function () {
         graph.graph.should.have.property("B").with.property("A").equal(10);
       });
     });
+    describe("addRoute() with several metrics", function () {
+      it("should store the default metric as weight and the other metrics of the route", function () {
+        const graph = new Graph({ defaultMetric: "km" });
+        graph.addNode("A").addNode("B").addNode("C");
+        graph.addRoute("A", "B", { km: 12, minutes: 18, fuel: 3.2 }, true);
+        graph.graph["A"]["B"].should.equal(12);
+        expect(graph.metricsRoutes["B"]["A"]).to.eql({
+          minutes: 18,
+          fuel: 3.2,
+        });
+        graph.editRoute("A", "B", { km: 10, minutes: 18, fuel: 3.2 });
+        graph.graph["A"]["B"].should.equal(10);
+        expect(graph.metricsRoutes["A"]["B"]).to.eql({
+          minutes: 18,
+          fuel: 3.2,
+        });
+        graph.MultiplyByFactorRoutes(2, "minutes");
+        graph.metricsRoutes["A"]["B"].minutes.should.equal(36);
+        graph.graph["A"]["B"].should.equal(10);
+        graph.editNode("B", "D");
+        expect(graph.metricsRoutes["A"]).to.have.property("D");
+        graph.deleteRoute("A", "D");
+        expect(graph.metricsRoutes).to.not.have.property("A");
+      });
+      it("should remove the other metrics when the route is edited with a plain number", function () {
+        const graph = new Graph({});
+        graph.addNode("A").addNode("B");
+        graph.addRoute("A", "B", { weight: 5, time: 10 }, true);
+        graph.editRoute("A", "B", 3);
+        graph.graph["A"]["B"].should.equal(3);
+        expect(graph.metricsRoutes).to.not.have.property("A");
+        expect(graph.metricsRoutes["B"]["A"]).to.eql({ time: 10 });
+        graph.findPathDijkstra("A", "B", { metric: "time" }).should.eql({
+          cost: Infinity,
+          path: [],
+          unreachable: true,
+        });
+        graph.editRoute("A", "B", 3, true);
+        expect(graph.metricsRoutes).to.eql({});
+      });
+    });
     describe("avoidRoute()", function () {
       it("should change route weight to Infinity, keeping nodes cost", function () {
         const graph = new Graph({});
@@ -177,6 +222,267 @@ describe("Graph manipulation", function () {
     });
   });
 });
+describe("Serialization", function () {
+  describe("toJSON() & fromJSON()", function () {
+    it("should restore the same graph, including avoided nodes and routes", function () {
+      const graph = new Graph({ name: "Serialized", constantNodesCost: 2 });
+      graph.addNode({ name: "A", cost: 1, protectNodeCost: true, x: 0, y: 1 });
+      graph.addNode("B").addNode({ name: "C", cost: 3 });
+      graph.addRoute("A", "B", { weight: 3, km: 5 }, true);
+      graph.addRoute("B", "C", new TimeProfile({ "00:00": 4, "08:00": 6 }));
+      graph.addRoute("C", "A", 2);
+      graph.setRouteCapacity("C", "A", 7);
+      graph.avoidRoute("A", "B");
+      graph.avoidNode("C");
+      const json = JSON.parse(JSON.stringify(graph));
+      json.should.include({
+        schema: "dijkstra-floydwarshall-graph",
+        version: 1,
+      });
+      json.nodes[2].should.have.property("cost").equal("Infinity");
+      json.routes[0].should.have.property("weight").equal("Infinity");
+      const restored = Graph.fromJSON(json);
+      restored.name.should.equal("Serialized");
+      restored.graph.should.eql(graph.graph);
+      restored.costsNodes.should.eql(graph.costsNodes);
+      restored.coordinatesNodes.should.eql(graph.coordinatesNodes);
+      restored.metricsRoutes.should.eql(graph.metricsRoutes);
+      restored.capacitiesRoutes.should.eql(graph.capacitiesRoutes);
+      restored.profilesRoutes.B.C.should.eql(graph.profilesRoutes.B.C);
+      restored.toJSON().should.eql(json);
+      restored.constantNodesCost = 5;
+      restored.costsNodes.should.eql({ A: 1, B: 5, C: Infinity });
+    });
+  });
+  describe("toDOT() & fromDOT()", function () {
+    it("should draw the highlighted path and restore the same graph", function () {
+      const graph = new Graph({ name: "Diagram", autoCreateNodes: true });
+      graph.addNode({ name: "T", cost: 2 });
+      graph.addRoute("A", "B", 3, true).addRoute("B", "T", 4);
+      graph.addRoute("T", "C", 1, true).addRoute("A", "C", 9);
+      graph.avoidRoute("A", "C");
+      const dot = graph.toDOT({
+        highlightPath: graph.findPathDijkstra("A", "C"),
+      });
+      dot.should.include('"T" [label="T\\ntoll: 2", cost=2, color=red');
+      dot.should.include('"A" -> "B" [label="3", dir=none, color=red');
+      dot.should.include('"B" -> "T" [label="4", color=red');
+      dot.should.include('"A" -> "C" [label="Infinity", style=dashed];');
+      const restored = Graph.fromDOT(dot);
+      restored.name.should.equal("Diagram");
+      restored.graph.should.eql(graph.graph);
+      restored.costsNodes.should.eql(graph.costsNodes);
+    });
+    it("should create bidirectional routes from undirected graphs", function () {
+      const graph = Graph.fromDOT(`graph {
+        node [cost=1];
+        A -- B -- C [weight=2]; // Chain of edges
+        C -- D [label="1.5"];
+      }`);
+      graph.graph.should.eql({
+        A: { B: 2 },
+        B: { A: 2, C: 2 },
+        C: { B: 2, D: 1.5 },
+        D: { C: 1.5 },
+      });
+      graph.costsNodes.should.eql({ A: 1, B: 1, C: 1, D: 1 });
+    });
+    it("should restore names with backslashes and quotes, and negative weights", function () {
+      const graph = new Graph({
+        name: 'Disk "C:\\"',
+        autoCreateNodes: true,
+        allowNegativeWeights: true,
+      });
+      const folder = "C:\\dir\\";
+      graph.addNode({ name: folder, cost: 1 });
+      graph.addRoute(folder, 'say "hi"', -2).addRoute("A", folder, 3);
+      const dot = graph.toDOT();
+      dot.should.include(String.raw`"C:\\dir\\" [label="C:\\dir\\\ntoll: 1"`);
+      dot.should.include(String.raw`"C:\\dir\\" -> "say \"hi\"" [label="-2"];`);
+      expect(Graph.fromDOT(dot)).to.equal(null);
+      const restored = Graph.fromDOT(dot, { allowNegativeWeights: true });
+      restored.name.should.equal(graph.name);
+      restored.graph.should.eql(graph.graph);
+      restored.costsNodes.should.eql(graph.costsNodes);
+    });
+  });
+  describe("toCSV() & fromCSV()", function () {
+    it("should restore the same graph from the CSV of nodes and routes", function () {
+      const graph = new Graph({ autoCreateNodes: true });
+      graph.addNode({ name: 'T, "Toll"', cost: 2, protectNodeCost: true });
+      graph.addRoute("A", "B", 3, true).addRoute("B", 'T, "Toll"', 4);
+      graph.addRoute("A", "C", 9).avoidRoute("A", "C");
+      const csv = graph.toCSV();
+      csv.nodes.should.equal(
+        'name,cost,protectNodeCost\n"T, ""Toll""",2,true\nA,0,false\nB,0,false\nC,0,false'
+      );
+      csv.routes.should.equal(
+        'start,end,weight,bidirectional\nA,B,3,true\nA,C,Infinity,false\nB,"T, ""Toll""",4,false'
+      );
+      const restored = Graph.fromCSV(csv);
+      restored.graph.should.eql(graph.graph);
+      restored.costsNodes.should.eql(graph.costsNodes);
+      restored.toCSV().should.eql(csv);
+    });
+    it("should create the nodes of the routes without CSV of nodes", function () {
+      const graph = Graph.fromCSV({
+        routes: "Weight,Start,End\r\n1,A,B\r\n\r\n2,B,C\r\n",
+      });
+      graph.graph.should.eql({ A: { B: 1 }, B: { C: 2 }, C: {} });
+    });
+    it("should restore negative weights only if they are allowed", function () {
+      const graph = new Graph({
+        autoCreateNodes: true,
+        allowNegativeWeights: true,
+      });
+      graph.addRoute("A", "B", -2).addRoute("B", "C", 3, true);
+      const csv = graph.toCSV();
+      expect(Graph.fromCSV(csv)).to.equal(null);
+      const restored = Graph.fromCSV(csv, { allowNegativeWeights: true });
+      restored.graph.should.eql(graph.graph);
+      restored.allowNegativeWeights.should.equal(true);
+      expect(
+        Graph.fromCSV(
+          { routes: "start,end,weight\nA,B,0" },
+          { allowNegativeWeights: true }
+        )
+      ).to.equal(null);
+    });
+    it("should export the distance matrix of the Floyd-Warshall Algorithm", function () {
+      const graph = new Graph({ autoCreateNodes: true });
+      graph.addRoute("A", "B", 3, true).addRoute("B", "C", 4);
+      graph.findMatricesFloydWarshall();
+      graph
+        .distanceMatrixToCSV()
+        .should.equal(",A,B,C\nA,0,3,7\nB,3,0,4\nC,Infinity,Infinity,0");
+    });
+  });
+  describe("toGraphML() & fromGraphML()", function () {
+    it("should restore the same graph, keeping undirected edges", function () {
+      const graph = new Graph({ name: "Net & Co", autoCreateNodes: true });
+      graph.addNode({ name: "T", cost: 2, protectNodeCost: true, x: 1, y: 2 });
+      graph.addRoute("A", "B", 3, true).addRoute("B", "T", 4);
+      graph.addRoute("A", "C", 9).avoidRoute("A", "C");
+      const xml = graph.toGraphML();
+      xml.should.include('<graph id="Net &amp; Co" edgedefault="directed">');
+      xml.should.include(
+        '<edge source="A" target="B" directed="false"><data key="weight">3</data></edge>'
+      );
+      xml.should.include('<data key="weight">INF</data>');
+      const restored = Graph.fromGraphML(xml);
+      restored.name.should.equal("Net & Co");
+      restored.graph.should.eql(graph.graph);
+      restored.costsNodes.should.eql(graph.costsNodes);
+      restored.coordinatesNodes.should.eql(graph.coordinatesNodes);
+      restored.toGraphML().should.equal(xml);
+    });
+    it("should ignore and log the unsupported features", function () {
+      const messages = [];
+      const log = console.log;
+      console.log = (message) => messages.push(message);
+      let graph;
+      try {
+        graph = Graph.fromGraphML(
+          `<?xml version="1.0" encoding="UTF-8"?>
+          <graphml xmlns="http://graphml.graphdrawing.org/xmlns">
+            <key id="d0" for="node" yfiles.type="nodegraphics"/>
+            <key id="d1" for="edge" attr.name="weight" attr.type="double">
+              <default>2</default>
+            </key>
+            <graph id="G" edgedefault="undirected">
+              <node id="A"><data key="d0"><y:ShapeNode/></data></node>
+              <node id="B"/>
+              <node id="C"/>
+              <edge source="A" target="B"/>
+              <edge source="B" target="A"><data key="d1">5</data></edge>
+              <edge source="B" target="C" directed="true">
+                <data key="d1">7.5</data>
+              </edge>
+              <hyperedge><endpoint node="A"/><endpoint node="C"/></hyperedge>
+            </graph>
+          </graphml>`,
+          { loggingLevel: 1 }
+        );
+      } finally {
+        console.log = log;
+      }
+      graph.graph.should.eql({ A: { B: 2 }, B: { A: 2, C: 7.5 }, C: {} });
+      messages.should.have.lengthOf(3);
+      messages[0].should.include("Key d0 (nodegraphics)");
+      messages[1].should.include("Parallel edge B - A (line 12)");
+      messages[2].should.include("Element hyperedge (line 16)");
+    });
+    it("should restore negative weights only if they are allowed", function () {
+      const graph = new Graph({
+        autoCreateNodes: true,
+        allowNegativeWeights: true,
+      });
+      graph.addRoute("A", "B", -2).addRoute("B", "C", 3, true);
+      const xml = graph.toGraphML();
+      expect(Graph.fromGraphML(xml)).to.equal(null);
+      const restored = Graph.fromGraphML(xml, {
+        allowNegativeWeights: true,
+        ignoreErrors: false,
+      });
+      restored.graph.should.eql(graph.graph);
+      restored.allowNegativeWeights.should.equal(true);
+    });
+  });
+  describe("toAdjacencyMatrix() & fromMatrix()", function () {
+    it("should return the raw weights and restore the routes", function () {
+      const graph = new Graph({ autoCreateNodes: true });
+      graph.addNode({ name: "T", cost: 2 });
+      graph.addRoute("A", "T", 3, true).addRoute("T", "B", 4);
+      const matrix = graph.toAdjacencyMatrix();
+      matrix.should.eql({
+        T: { T: 0, A: 3, B: 4 },
+        A: { T: 3, A: 0, B: Infinity },
+        B: { T: Infinity, A: Infinity, B: 0 },
+      });
+      const restored = Graph.fromMatrix(matrix, {
+        nodeCosts: graph.costsNodes,
+      });
+      restored.graph.should.eql(graph.graph);
+      restored.costsNodes.should.eql(graph.costsNodes);
+    });
+    it("should create the graph from a 2D array", function () {
+      const graph = Graph.fromMatrix(
+        [
+          [0, 2, "-"],
+          [0, 0, "3"],
+          [null, "", 0],
+        ],
+        {
+          nodeNames: ["X", "Y", "Z"],
+          infinityToken: "-",
+          treatZeroAs: 0.5,
+          nodeCosts: [1, 2, 3],
+        }
+      );
+      graph.graph.should.eql({ X: { Y: 2 }, Y: { X: 0.5, Z: 3 }, Z: {} });
+      graph.costsNodes.should.eql({ X: 1, Y: 2, Z: 3 });
+      Graph.fromMatrix([
+        [0, 0],
+        [1, 0],
+      ]).graph.should.eql({ 0: {}, 1: { 0: 1 } });
+    });
+    it("should restore negative weights only if they are allowed", function () {
+      const graph = new Graph({
+        autoCreateNodes: true,
+        allowNegativeWeights: true,
+      });
+      graph.addRoute("A", "B", -2).addRoute("B", "C", 3, true);
+      const matrix = graph.toAdjacencyMatrix();
+      expect(Graph.fromMatrix(matrix)).to.equal(null);
+      const restored = Graph.fromMatrix(matrix, {
+        allowNegativeWeights: true,
+        ignoreErrors: false,
+      });
+      restored.graph.should.eql(graph.graph);
+      restored.allowNegativeWeights.should.equal(true);
+    });
+  });
+});
 describe("Algorithms", function () {
   describe("Dijkstra Algorithm", function () {
     describe("findDijkstraPath()", function () {
@@ -246,6 +552,527 @@ describe("Algorithms", function () {
       });
     });
 
+    describe("findDijkstraPath() table log", function () {
+      it("should log every visited node in increasing order of distance", function () {
+        const graph = new Graph({});
+        graph
+          .addNode("A", "B", "C", "D", "E")
+          .addRoute("A", "B", 2)
+          .addRoute("A", "C", 1)
+          .addRoute("B", "C", 2)
+          .addRoute("C", "D", 1);
+
+        graph.findPathDijkstra("A", "E");
+        const visited = Object.values(graph.tableLog).map(
+          (log) => log["Visited Nodes"]
+        );
+        const distances = Object.values(graph.tableLog).map(
+          (log) => log.Distance
+        );
+        expect(visited).to.eql(["A", "C", "B", "D", "E"]);
+        expect(distances).to.eql([0, 1, 2, 2, Infinity]);
+        graph.tableLog[1].should.be.an.instanceof(TableLog);
+        graph.tableLog[1].Connection.should.equal("A -> C");
+        graph.tableLog[1]["Updated Nodes"].should.equal("D");
+      });
+    });
+    describe("findCheapestNode()", function () {
+      it("should find the closest node that hasn't been visited", function () {
+        const graph = new Graph({ autoCreateNodes: true });
+        graph.addNode({ name: "B", cost: 5 });
+        graph.addRoute("A", "B", 1).addRoute("A", "C", 3).addRoute("A", "D", 3);
+
+        graph.findCheapestNode(graph.graph.A, []).should.equal("C");
+        graph.findCheapestNode(graph.graph.A, ["C"]).should.equal("D");
+        graph
+          .findCheapestNode(graph.graph.A, new Set(["C", "D"]))
+          .should.equal("B");
+        should.equal(
+          graph.findCheapestNode(graph.graph.A, ["B", "C", "D"]),
+          null
+        );
+      });
+    });
+    describe("findDijkstraPath() on a large graph", function () {
+      it("should find the cheapest path of a long chain of nodes", function () {
+        const graph = new Graph({ autoCreateNodes: true });
+        const size = 20000;
+        for (let i = 1; i < size; i++) {
+          graph.addRoute(i, i + 1, 1);
+          if (i + 2 <= size) graph.addRoute(i, i + 2, 3);
+        }
+        const dijkstra = graph.findPathDijkstra(1, size);
+        dijkstra.cost.should.equal(size - 1);
+        dijkstra.path.should.have.lengthOf(size);
+      });
+    });
+
+    describe("findDijkstraPath() early exit & bidirectional modes", function () {
+      it("should find the same path as the full search", function () {
+        const graph = new Graph({ autoCreateNodes: true });
+        graph
+          .addRoute(7, 3, 15)
+          .addRoute(3, 1, 14, true)
+          .addRoute(1, 2, 12)
+          .addRoute(2, 6, 22, true)
+          .addRoute(6, 12, 27, true)
+          .addRoute(12, 14, 10)
+          .addRoute(15, 14, 11)
+          .addRoute(15, 13, 10, true)
+          .addRoute(13, 8, 20, true)
+          .addRoute(7, 8, 11, true)
+          .addRoute(7, 5, 12, true)
+          .addRoute(5, 3, 4)
+          .addRoute(1, 5, 9)
+          .addRoute(1, 4, 8, true)
+          .addRoute(2, 4, 15)
+          .addRoute(4, "0", 13, true)
+          .addRoute("0", 5, 6, true)
+          .addRoute(5, 8, 17, true)
+          .addRoute(5, 9, 13, true)
+          .addRoute("0", 9, 12, true)
+          .addRoute(9, 10, 10)
+          .addRoute("0", 10, 23, true)
+          .addRoute(10, 4, 17)
+          .addRoute(6, 10, 14)
+          .addRoute(10, 12, 8)
+          .addRoute(10, 15, 24, true)
+          .addRoute(9, 13, 14, true)
+          .addRoute(9, 8, 5)
+          .addRoute(9, 11, 17, true)
+          .addRoute(13, 11, 16)
+          .addRoute(11, 15, 9)
+          .addRoute(11, 14, 17, true);
+        graph.addNode({ name: "Toll", cost: 40 }).addRoute("0", "Toll", 1);
+        graph.addRoute("Toll", 11, 1);
+        graph.constantNodesCost = 3;
+
+        const full = graph.findPathDijkstra("0", 11);
+        const fullIterations = Object.keys(graph.tableLog).length;
+        const earlyExit = graph.findPathDijkstra("0", 11, {
+          mode: Constants.DijkstraModes.EARLY_EXIT,
+        });
+        Object.keys(graph.tableLog).length.should.be.below(fullIterations);
+        const bidirectional = graph.findPathDijkstra("0", 11, {
+          mode: Constants.DijkstraModes.BIDIRECTIONAL,
+        });
+        expect(earlyExit).to.eql(full);
+        expect(bidirectional).to.eql(full);
+        full.cost.should.equal(38);
+        expect(full.path).to.eql(["0", "9", "11"]);
+      });
+    });
+    describe("findDijkstraPath() with several metrics", function () {
+      it("should minimize the chosen metric and report the totals of every metric", function () {
+        const graph = new Graph({ autoCreateNodes: true, defaultMetric: "km" });
+        graph
+          .addRoute("A", "B", { km: 10, minutes: 30, fuel: 1 })
+          .addRoute("B", "D", { km: 10, minutes: 30, fuel: 1 })
+          .addRoute("A", "C", { km: 25, minutes: 20, fuel: 2.5 })
+          .addRoute("C", "D", { km: 25, minutes: 20, fuel: 2.5 });
+
+        expect(graph.findPathDijkstra("A", "D")).to.eql({
+          cost: 20,
+          path: ["A", "B", "D"],
+          metrics: { km: 20, minutes: 60, fuel: 2 },
+        });
+        expect(graph.findPathDijkstra("A", "D", { metric: "minutes" })).to.eql({
+          cost: 40,
+          path: ["A", "C", "D"],
+          metrics: { km: 50, minutes: 40, fuel: 5 },
+        });
+        const weighted = graph.findPathDijkstra("A", "D", {
+          metric: { km: 1, minutes: 0.5 },
+        });
+        weighted.cost.should.equal(50);
+        expect(weighted.path).to.eql(["A", "B", "D"]);
+
+        //Routes without a metric can't be used to minimize it.
+        graph.addRoute("A", "D", 5);
+        graph.findPathDijkstra("A", "D").cost.should.equal(5);
+        expect(
+          graph.findPathDijkstra("A", "D", { metric: "minutes" }).path
+        ).to.eql(["A", "C", "D"]);
+      });
+    });
+    describe("findDijkstraPath() with time-dependent routes", function () {
+      const graph = new Graph({ autoCreateNodes: true });
+      graph
+        .addRoute(
+          "A",
+          "B",
+          new TimeProfile({ "07:00": 10, "08:00": 60, "09:00": 10 })
+        )
+        .addRoute("B", "D", 10)
+        .addRoute("A", "C", 30)
+        .addRoute("C", "D", 10);
+      it("should find the earliest arrival path for the departure time", function () {
+        expect(graph.findPathDijkstra("A", "D", { departAt: "06:00" })).to.eql({
+          cost: 20,
+          path: ["A", "B", "D"],
+          arrivals: [360, 370, 380],
+        });
+        expect(graph.findPathDijkstra("A", "D", { departAt: "08:00" })).to.eql({
+          cost: 40,
+          path: ["A", "C", "D"],
+          arrivals: [480, 510, 520],
+        });
+        //07:30, halfway between 10 and 60 minutes.
+        graph
+          .findPathDijkstra("A", "D", { departAt: 450 })
+          .cost.should.equal(40);
+      });
+      it("should support weight functions and keep static searches unchanged", function () {
+        graph.addRoute("A", "D", (time) => (time < 600 ? 100 : 5));
+        expect(graph.findPathDijkstra("A", "D")).to.eql({
+          cost: 20,
+          path: ["A", "B", "D"],
+        });
+        expect(graph.findPathDijkstra("A", "D", { departAt: "10:30" })).to.eql({
+          cost: 5,
+          path: ["A", "D"],
+          arrivals: [630, 635],
+        });
+      });
+      it("should report weight functions that throw an error as invalid or unusable routes", function () {
+        const late = (time) => {
+          if (time > 0) throw new Error("late");
+          return 1;
+        };
+        const logger = Loggers.memory();
+        const graph = new Graph({
+          autoCreateNodes: true,
+          loggingLevel: Constants.LoggingLevels.MIN,
+          logger,
+        });
+        graph.addRoute("A", "B", () => {
+          throw new Error("broken");
+        });
+        graph.graph.should.eql({});
+        graph.addRoute("A", "B", late).addRoute("A", "C", 5);
+        graph.addRoute("C", "B", 5);
+        expect(graph.findPathDijkstra("A", "B", { departAt: 10 })).to.eql({
+          cost: 10,
+          path: ["A", "C", "B"],
+          arrivals: [10, 15, 20],
+        });
+        expect(
+          logger.records
+            .filter(({ event }) => event === "error")
+            .map(({ payload }) => payload.code)
+        ).to.eql(["VALIDATION_FAILED", "INVALID_WEIGHT"]);
+
+        const strict = new Graph({
+          autoCreateNodes: true,
+          ignoreErrors: false,
+        });
+        const broken = () => {
+          throw new Error("broken");
+        };
+        expect(() => strict.addRoute("A", "B", broken))
+          .to.throw(GraphError.ValidationError)
+          .with.property("message")
+          .that.includes("threw an error at time 0 (broken)");
+        strict.addRoute("A", "B", late);
+        expect(() => strict.findPathDijkstra("A", "B", { departAt: 10 }))
+          .to.throw(GraphError.InvalidWeightError)
+          .with.property("nodes")
+          .that.eql(["A", "B"]);
+      });
+    });
+    describe("findParetoPaths()", function () {
+      it("should find every non-dominated path, including toll costs as a criterion", function () {
+        const graph = new Graph({
+          autoCreateNodes: true,
+          defaultMetric: "km",
+          costFormat: { suffix: true, format: "KM" },
+        });
+        graph
+          .addRoute("A", "B", { km: 10, minutes: 30 })
+          .addRoute("B", "D", { km: 10, minutes: 30 })
+          .addRoute("A", "C", { km: 25, minutes: 20 })
+          .addRoute("C", "D", { km: 25, minutes: 20 })
+          .addRoute("B", "C", { km: 1, minutes: 1 })
+          .addRoute("A", "D", { km: 60, minutes: 60 })
+          .addNode({ name: "Toll", cost: 50 })
+          .addRoute("A", "Toll", { km: 1, minutes: 1 })
+          .addRoute("Toll", "D", { km: 1, minutes: 1 });
+
+        expect(graph.findParetoPaths("A", "D", ["km", "minutes"])).to.eql([
+          {
+            cost: "52 KM",
+            path: ["A", "Toll", "D"],
+            metrics: { km: 2, minutes: 2 },
+            tolls: 50,
+          },
+          {
+            cost: "20 KM",
+            path: ["A", "B", "D"],
+            metrics: { km: 20, minutes: 60 },
+            tolls: 0,
+          },
+          {
+            cost: "36 KM",
+            path: ["A", "B", "C", "D"],
+            metrics: { km: 36, minutes: 51 },
+            tolls: 0,
+          },
+          {
+            cost: "50 KM",
+            path: ["A", "C", "D"],
+            metrics: { km: 50, minutes: 40 },
+            tolls: 0,
+          },
+        ]);
+        graph.avoidNode("Toll");
+        graph
+          .findParetoPaths("A", "D", ["km", "minutes"])
+          .should.have.lengthOf(3);
+      });
+    });
+    describe("findAllPathsFrom()", function () {
+      it("should find the cheapest path to every node in a single execution", function () {
+        const graph = new Graph({
+          constantNodesCost: 100,
+          autoCreateNodes: true,
+        });
+        graph
+          .addNode({ name: "C", cost: 500 })
+          .addRoute("A", "B", 2)
+          .addRoute("A", "C", 1)
+          .addRoute("B", "C", 2)
+          .addRoute("C", "D", 1)
+          .addRoute("B", "D", 200)
+          .addNode("E");
+
+        const { costs, paths, tree } = graph.findAllPathsFrom("A");
+        expect(costs).to.eql({ A: 100, B: 202, C: 601, D: 502, E: Infinity });
+        expect(paths).to.eql({
+          A: ["A"],
+          B: ["A", "B"],
+          C: ["A", "C"],
+          D: ["A", "B", "D"],
+          E: [],
+        });
+        tree.should.be.an.instanceof(ShortestPathTree);
+        tree.hasPathTo("E").should.equal(false);
+        tree.costTo("D").should.equal(graph.findPathDijkstra("A", "D").cost);
+        expect(tree.pathTo("D")).to.eql(graph.findPathDijkstra("A", "D").path);
+      });
+    });
+    describe("Yen's Algorithm", function () {
+      describe("findKShortestPaths()", function () {
+        it("should find the k cheapest loopless paths in increasing order", function () {
+          const graph = new Graph({ autoCreateNodes: true });
+          graph
+            .addRoute("C", "D", 3)
+            .addRoute("C", "E", 2)
+            .addRoute("D", "F", 4)
+            .addRoute("E", "D", 1)
+            .addRoute("E", "F", 2)
+            .addRoute("E", "G", 3)
+            .addRoute("F", "G", 2)
+            .addRoute("F", "H", 1)
+            .addRoute("G", "H", 2);
+
+          const paths = graph.findKShortestPaths("C", "H", 3);
+          expect(paths).to.eql([
+            { cost: 5, path: ["C", "E", "F", "H"] },
+            { cost: 7, path: ["C", "E", "G", "H"] },
+            { cost: 8, path: ["C", "D", "F", "H"] },
+          ]);
+          const allPaths = graph.findKShortestPaths("C", "H", 100);
+          allPaths.should.have.lengthOf(7);
+          expect(allPaths.map(({ cost }) => cost)).to.eql([
+            5, 7, 8, 8, 8, 11, 11,
+          ]);
+        });
+      });
+      describe("findKShortestPaths() with node costs & avoiding", function () {
+        it("should include toll costs and skip avoided nodes and routes", function () {
+          const graph = new Graph({
+            constantNodesCost: 100,
+            autoCreateNodes: true,
+          });
+          graph
+            .addNode({ name: "C", cost: 500 })
+            .addRoute("A", "B", 2)
+            .addRoute("A", "C", 1)
+            .addRoute("B", "C", 2)
+            .addRoute("C", "D", 1)
+            .addRoute("B", "D", 200);
+
+          expect(graph.findKShortestPaths("A", "D", 3)).to.eql([
+            { cost: 502, path: ["A", "B", "D"] },
+            { cost: 702, path: ["A", "C", "D"] },
+            { cost: 805, path: ["A", "B", "C", "D"] },
+          ]);
+
+          graph.avoidNode("C");
+          expect(graph.findKShortestPaths("A", "D", 3)).to.eql([
+            { cost: 502, path: ["A", "B", "D"] },
+          ]);
+          graph.avoidRoute("B", "D");
+          expect(graph.findKShortestPaths("A", "D", 3)).to.eql([]);
+        });
+      });
+    });
+
+    describe("A* Algorithm", function () {
+      describe("findPathAStar() with euclidean heuristic", function () {
+        it("should find the same path as Dijkstra exploring less nodes", function () {
+          const graph = new Graph({});
+          for (let x = 0; x < 10; x++) {
+            for (let y = 0; y < 10; y++) {
+              graph.addNode({ name: `${x}-${y}`, cost: 1, x, y });
+            }
+          }
+          for (let x = 0; x < 10; x++) {
+            for (let y = 0; y < 10; y++) {
+              if (x < 9) graph.addRoute(`${x}-${y}`, `${x + 1}-${y}`, 1, true);
+              if (y < 9) graph.addRoute(`${x}-${y}`, `${x}-${y + 1}`, 1, true);
+            }
+          }
+          graph.addNode({ name: "Toll", cost: 100, x: 5, y: 0 });
+          graph.addRoute("4-0", "Toll", 1).addRoute("Toll", "6-0", 1);
+
+          const dijkstra = graph.findPathDijkstra("0-0", "9-0");
+          const dijkstraIterations = Object.keys(graph.tableLog).length;
+          const aStar = graph.findPathAStar("0-0", "9-0", {
+            heuristic: "euclidean",
+          });
+          aStar.cost.should.equal(dijkstra.cost);
+          aStar.cost.should.equal(19);
+          expect(aStar.path).to.not.include("Toll");
+          Object.keys(graph.tableLog).length.should.be.below(
+            dijkstraIterations
+          );
+          graph.tableLog[0]["Visited Nodes"].should.equal("0-0");
+        });
+      });
+      describe("findPathAStar() with haversine and custom heuristics", function () {
+        it("should find the cheapest path possible", function () {
+          const graph = new Graph({});
+          graph
+            .addNode({ name: "Bogota", cost: 0, lat: 4.711, lon: -74.0721 })
+            .addNode({ name: "Medellin", cost: 0, lat: 6.2442, lon: -75.5812 })
+            .addNode({ name: "Cali", cost: 0, lat: 3.4516, lon: -76.532 })
+            .addNode({ name: "Pereira", cost: 0, lat: 4.8133, lon: -75.6961 })
+            .addRoute("Bogota", "Medellin", 415, true)
+            .addRoute("Bogota", "Pereira", 320, true)
+            .addRoute("Pereira", "Cali", 215, true)
+            .addRoute("Medellin", "Cali", 420, true);
+
+          const haversine = graph.findPathAStar("Bogota", "Cali", {
+            heuristic: "haversine",
+          });
+          haversine.cost.should.equal(535);
+          expect(haversine.path).to.eql(["Bogota", "Pereira", "Cali"]);
+
+          const custom = graph.findPathAStar("Bogota", "Cali", {
+            heuristic: (node, endNode) => (node === "Medellin" ? 400 : 0),
+          });
+          expect(custom).to.eql(haversine);
+        });
+      });
+      describe("findPathAStar() without any path", function () {
+        it("should return an explicit unreachable result", function () {
+          const graph = new Graph({ autoCreateNodes: true });
+          graph
+            .addRoute("A", "B", 1)
+            .addRoute("C", "B", 1)
+            .avoidRoute("A", "B");
+          expect(graph.findPathAStar("A", "C")).to.eql({
+            cost: Infinity,
+            path: [],
+            unreachable: true,
+          });
+          graph.findPathAStar("C", "B").path.should.eql(["C", "B"]);
+        });
+      });
+    });
+
+    describe("Bellman-Ford Algorithm", function () {
+      describe("findPathBellmanFord()", function () {
+        it("should find the cheapest path possible with negative weights", function () {
+          const graph = new Graph({
+            autoCreateNodes: true,
+            allowNegativeWeights: true,
+          });
+          graph
+            .addRoute("A", "B", 4)
+            .addRoute("A", "C", 2)
+            .addRoute("C", "B", -3)
+            .addRoute("B", "D", 1);
+
+          const bellmanFord = graph.findPathBellmanFord("A", "D");
+          bellmanFord.cost.should.equal(0);
+          expect(bellmanFord.path).to.eql(["A", "C", "B", "D"]);
+          graph.tableLog[0]["Visited Nodes"].should.equal("A");
+          graph.tableLog[0]["Updated Nodes"].should.equal("B, C");
+        });
+      });
+      describe("findPathBellmanFord() with node costs", function () {
+        it("should find the same path as Dijkstra without negative weights", function () {
+          const graph = new Graph({
+            constantNodesCost: 100,
+            autoCreateNodes: true,
+          });
+          graph
+            .addNode({ name: "C", cost: 500 })
+            .addRoute("A", "B", 2)
+            .addRoute("A", "C", 1)
+            .addRoute("B", "C", 2)
+            .addRoute("C", "D", 1)
+            .addRoute("B", "D", 200);
+
+          const bellmanFord = graph.findPathBellmanFord("A", "D");
+          const dijkstra = graph.findPathDijkstra("A", "D");
+          bellmanFord.cost.should.equal(dijkstra.cost);
+          expect(bellmanFord.path).to.eql(dijkstra.path);
+        });
+      });
+      describe("findPathBellmanFord() without any path", function () {
+        it("should return an explicit unreachable result", function () {
+          const graph = new Graph({
+            allowNegativeWeights: true,
+            autoCreateNodes: true,
+          });
+          graph.addRoute("A", "B", -1).addRoute("C", "B", 1).addNode("D");
+          graph.avoidNode("B");
+          const unreachable = { cost: Infinity, path: [], unreachable: true };
+          expect(graph.findPathBellmanFord("A", "C")).to.eql(unreachable);
+          expect(graph.findPathBellmanFord("A", "B")).to.eql(unreachable);
+        });
+      });
+      describe("findPathBellmanFord() with a negative cycle", function () {
+        it("should report the negative cycle reachable from the starting node", function () {
+          const graph = new Graph({
+            autoCreateNodes: true,
+            allowNegativeWeights: true,
+          });
+          graph
+            .addRoute("A", "B", 4)
+            .addRoute("B", "C", -3)
+            .addRoute("C", "D", 1)
+            .addRoute("D", "B", 1)
+            .addRoute("D", "E", 1);
+
+          const bellmanFord = graph.findPathBellmanFord("A", "E");
+          bellmanFord.cost.should.equal(-Infinity);
+          expect(bellmanFord.path).to.eql([]);
+          expect(bellmanFord.negativeCycle.slice(1)).to.have.members([
+            "B",
+            "C",
+            "D",
+          ]);
+          bellmanFord.negativeCycle[0].should.equal(
+            bellmanFord.negativeCycle[bellmanFord.negativeCycle.length - 1]
+          );
+        });
+      });
+    });
+
     describe("Floyd-Warshall Algorithm", function () {
       describe("findMatricesFloydWarshall() - Distance Matrix", function () {
         it("should find the matrix of minimum distances between any pair of nodes", function () {
@@ -319,6 +1146,477 @@ describe("Algorithms", function () {
           expect(floydWarshall.path).to.eql(["A", "C", "D"]);
         });
       });
+      describe("findMatricesFloydWarshall() with negative weights", function () {
+        it("should find the same costs and paths as Bellman-Ford", function () {
+          const graph = new Graph({
+            allowNegativeWeights: true,
+            autoCreateNodes: true,
+          });
+          graph
+            .addNode({ name: "A", cost: 1 })
+            .addNode({ name: "B", cost: 1 })
+            .addNode({ name: "C", cost: 0 })
+            .addRoute("A", "B", -1)
+            .addRoute("B", "C", -3)
+            .addRoute("A", "C", 9)
+            .addRoute("C", "D", 2)
+            .addRoute("D", "B", 4);
+
+          graph.findMatricesFloydWarshall();
+          for (const startNode of ["A", "B", "C", "D"]) {
+            for (const endNode of ["A", "B", "C", "D"]) {
+              if (startNode === endNode) continue;
+              const bellmanFord = graph.findPathBellmanFord(startNode, endNode);
+              const floydWarshall = graph.findPathFloydWarshall(
+                startNode,
+                endNode
+              );
+              floydWarshall.cost.should.equal(bellmanFord.cost);
+              if (bellmanFord.cost < Infinity)
+                expect(floydWarshall.path).to.eql(bellmanFord.path);
+            }
+          }
+          graph.distanceMatrix.A.C.should.equal(-2);
+          expect(graph.findPathFloydWarshall("A", "C").path).to.eql([
+            "A",
+            "B",
+            "C",
+          ]);
+        });
+      });
+      describe("findPathFloydWarshall() after changing the graph", function () {
+        it("should recompute the outdated matrices", function () {
+          const graph = new Graph({ autoCreateNodes: true });
+          graph
+            .addRoute("A", "B", 2)
+            .addRoute("A", "C", 1)
+            .addRoute("C", "D", 1);
+          graph.findMatricesFloydWarshall();
+          const version = graph.version;
+          graph.addRoute("B", "E", 1).addRoute("A", "E", 5);
+          graph.avoidNode("C");
+          graph.version.should.be.above(version);
+          const path = graph.findPathFloydWarshall("A", "E");
+          path.cost.should.equal(3);
+          expect(path.path).to.eql(["A", "B", "E"]);
+          graph.distanceMatrix.should.have.property("E");
+          graph.findPathFloydWarshall("A", "D").should.include({
+            unreachable: true,
+          });
+        });
+      });
+      describe("findMatricesFloydWarshall() incremental updates", function () {
+        it("should update the matrices like a full recompute", function () {
+          const graph = new Graph({
+            autoCreateNodes: true,
+            staleMatrices: Constants.StaleMatricesPolicies.REJECT,
+          });
+          graph
+            .addRoute("A", "B", 2)
+            .addRoute("B", "C", 2)
+            .addRoute("A", "C", 5)
+            .addRoute("C", "D", 1, true)
+            .addRoute("B", "D", 4)
+            .editNode("C", null, 1);
+          graph.findMatricesFloydWarshall();
+          graph
+            .editRoute("A", "B", 6)
+            .addRoute("D", "E", 1)
+            .addRoute("A", "E", 9)
+            .deleteRoute("B", "C");
+          graph
+            .avoidNode("D")
+            .editNode("D", null, 2)
+            .deleteNode("C")
+            .editRoute("A", "B", 1);
+          const fresh = new Graph({ autoCreateNodes: true });
+          for (const node in graph.graph) {
+            fresh.addNode({ name: node, cost: graph.costsNodes[node] });
+          }
+          for (const node in graph.graph) {
+            for (const adjNode in graph.graph[node]) {
+              fresh.addRoute(node, adjNode, graph.graph[node][adjNode]);
+            }
+          }
+          const [distanceMatrix] = fresh.findMatricesFloydWarshall();
+          expect(graph.distanceMatrix).to.eql(distanceMatrix);
+          const via = graph.findPathVia("A", [], "E", {
+            useFloydWarshall: true,
+          });
+          via.cost.should.equal(8);
+          expect(via.path).to.eql(["A", "B", "D", "E"]);
+        });
+      });
+    });
+    describe("Waypoints", function () {
+      const graph = new Graph({ autoCreateNodes: true });
+      graph
+        .addRoute("A", "B", 2, true)
+        .addRoute("B", "C", 3, true)
+        .addRoute("C", "D", 4, true)
+        .addRoute("A", "C", 4, true)
+        .addRoute("B", "D", 8, true)
+        .editNode("C", null, 1);
+      describe("findPathVia()", function () {
+        it("should find the best visiting order, charging node costs once per visit", function () {
+          expect(graph.findPathVia("A", ["C", "B"], "D")).to.eql({
+            cost: 10,
+            path: ["A", "B", "C", "D"],
+            order: ["B", "C"],
+            legs: [
+              { from: "A", to: "B", cost: 2, path: ["A", "B"] },
+              { from: "B", to: "C", cost: 4, path: ["B", "C"] },
+              { from: "C", to: "D", cost: 4, path: ["C", "D"] },
+            ],
+          });
+        });
+        it("should keep the order of the waypoints if specified", function () {
+          const via = graph.findPathVia("A", ["C", "B"], "D", {
+            keepOrder: true,
+          });
+          via.cost.should.equal(16);
+          expect(via.path).to.eql(["A", "C", "B", "D"]);
+          expect(via.legs.map((leg) => leg.cost)).to.eql([5, 3, 8]);
+        });
+        it("should find the same path using the Floyd-Warshall matrices", function () {
+          graph.findMatricesFloydWarshall();
+          expect(
+            graph.findPathVia("A", ["C", "B"], "D", { useFloydWarshall: true })
+          ).to.eql(graph.findPathVia("A", ["C", "B"], "D"));
+          const direct = graph.findPathVia("A", [], "D");
+          expect({ cost: direct.cost, path: direct.path }).to.eql(
+            graph.findPathDijkstra("A", "D")
+          );
+        });
+        it("should find a visiting order for more than 12 waypoints", function () {
+          const graph = new Graph({ autoCreateNodes: true });
+          const node = (i) => `N${i}`;
+          for (let i = 0; i < 15; i++) {
+            graph.addRoute(node(i), node(i + 1), 1, true);
+          }
+          const waypoints = [7, 3, 12, 1, 14, 5, 9, 2, 11, 4, 13, 6, 8];
+          const via = graph.findPathVia(node(0), waypoints.map(node), node(15));
+          via.cost.should.equal(15);
+          expect(via.order).to.eql(waypoints.sort((a, b) => a - b).map(node));
+          via.path.should.have.lengthOf(16);
+        });
+        it("should support negative weights only using the Floyd-Warshall matrices", function () {
+          const graph = new Graph({
+            ignoreErrors: false,
+            allowNegativeWeights: true,
+            autoCreateNodes: true,
+          });
+          graph
+            .addRoute("A", "B", 4)
+            .addRoute("A", "C", 2)
+            .addRoute("B", "C", -3)
+            .addRoute("C", "D", 2)
+            .addRoute("B", "D", 1);
+          expect(() => graph.findPathVia("A", ["C"], "D"))
+            .to.throw(GraphError.NegativeWeightsError)
+            .with.property("message")
+            .that.includes("useFloydWarshall");
+
+          graph.findMatricesFloydWarshall();
+          const via = graph.findPathVia("A", ["C"], "D", {
+            useFloydWarshall: true,
+          });
+          via.cost.should.equal(
+            graph.findPathBellmanFord("A", "C").cost +
+              graph.findPathBellmanFord("C", "D").cost
+          );
+          expect(via.path).to.eql(["A", "B", "C", "D"]);
+        });
+      });
+      describe("findTour()", function () {
+        it("should find the cheapest tour visiting every client", function () {
+          graph.findMatricesFloydWarshall();
+          const tour = graph.findTour("A", ["D", "B"]);
+          tour.cost.should.equal(19);
+          expect(tour.path[0]).to.equal("A");
+          expect(tour.path[tour.path.length - 1]).to.equal("A");
+          expect(
+            graph.findTour("A", ["D", "B"], { returnToStart: false })
+          ).to.eql({
+            cost: 10,
+            path: ["A", "B", "D"],
+            order: ["B", "D"],
+            legs: [
+              { from: "A", to: "B", cost: 2, path: ["A", "B"] },
+              { from: "B", to: "D", cost: 8, path: ["B", "D"] },
+            ],
+          });
+        });
+        it("should find a tour with heuristics for many clients", function () {
+          const ring = new Graph({ autoCreateNodes: true });
+          const clients = [];
+          for (let node = 1; node < 14; node++) {
+            ring.addRoute(String(node), String((node + 1) % 14), 1, true);
+            clients.push(String((node * 5) % 14));
+          }
+          ring.addRoute("0", "1", 1, true).findMatricesFloydWarshall();
+          const tour = ring.findTour("0", clients);
+          tour.cost.should.equal(14);
+          tour.order.should.have.lengthOf(13);
+          tour.path.should.have.lengthOf(15);
+        });
+      });
+    });
+    describe("Minimum spanning tree", function () {
+      const graph = new Graph({ autoCreateNodes: true });
+      graph
+        .addRoute("A", "B", 1, true)
+        .addRoute("B", "C", 2, true)
+        .addRoute("A", "C", 3, true)
+        .addRoute("C", "D", 5, true)
+        .addRoute("B", "D", 4, true)
+        .addRoute("E", "F", 6, true);
+      describe("findMinimumSpanningTree()", function () {
+        it("should find the same spanning forest using Prim & Kruskal", function () {
+          const prim = graph.findMinimumSpanningTree();
+          const kruskal = graph.findMinimumSpanningTree({
+            algorithm: Constants.SpanningTreeAlgorithms.KRUSKAL,
+          });
+          prim.weight.should.equal(13);
+          prim.trees.should.equal(2);
+          expect(prim.routes).to.eql([
+            { from: "A", to: "B", weight: 1 },
+            { from: "B", to: "C", weight: 2 },
+            { from: "B", to: "D", weight: 4 },
+            { from: "E", to: "F", weight: 6 },
+          ]);
+          kruskal.weight.should.equal(13);
+          kruskal.trees.should.equal(2);
+          expect(kruskal.graph.graph).to.eql(prim.graph.graph);
+          expect(prim.graph.graph).to.eql({
+            A: { B: 1 },
+            B: { A: 1, C: 2, D: 4 },
+            C: { B: 2 },
+            D: { B: 4 },
+            E: { F: 6 },
+            F: { E: 6 },
+          });
+        });
+        it("should ignore avoided nodes and routes", function () {
+          graph.avoidRoute("B", "D", true);
+          const tree = graph.findMinimumSpanningTree();
+          tree.weight.should.equal(14);
+          graph.addRoute("B", "D", 4, true, true).avoidNode("A");
+          graph.findMinimumSpanningTree().weight.should.equal(12);
+          Object.keys(
+            graph.findMinimumSpanningTree().graph.graph
+          ).should.not.include("A");
+        });
+      });
+    });
+    describe("Connectivity", function () {
+      const graph = new Graph({ autoCreateNodes: true });
+      graph
+        .addRoute("A", "B", 1)
+        .addRoute("B", "C", 1)
+        .addRoute("C", "A", 1)
+        .addRoute("C", "D", 1)
+        .addRoute("E", "D", 2)
+        .addNode("F");
+      it("should find the strongly & weakly connected components", function () {
+        expect(graph.getStronglyConnectedComponents()).to.eql([
+          ["D"],
+          ["A", "B", "C"],
+          ["E"],
+          ["F"],
+        ]);
+        expect(graph.getWeaklyConnectedComponents()).to.eql([
+          ["A", "B", "C", "D", "E"],
+          ["F"],
+        ]);
+      });
+      it("should find the reachable nodes", function () {
+        expect(Array.from(graph.reachableFrom("A"))).to.eql([
+          "A",
+          "B",
+          "C",
+          "D",
+        ]);
+        graph.isReachable("A", "D").should.equal(true);
+        graph.isReachable("D", "A").should.equal(false);
+      });
+      it("should return an explicit result for unreachable nodes", function () {
+        const unreachable = { cost: Infinity, path: [], unreachable: true };
+        expect(graph.findPathDijkstra("A", "E")).to.eql(unreachable);
+        expect(
+          graph.findPathDijkstra("A", "E", { mode: "bidirectional" })
+        ).to.eql(unreachable);
+        graph.findMatricesFloydWarshall();
+        expect(graph.findPathFloydWarshall("A", "E")).to.eql(unreachable);
+        expect(graph.findPathAStar("A", "E")).to.eql(unreachable);
+        expect(graph.findPathBellmanFord("A", "E")).to.eql(unreachable);
+      });
+      it("should detect unreachable nodes from the search, without a reachability search", function () {
+        const graph = new Graph({ autoCreateNodes: true });
+        graph.addRoute("A", "B", 1).addRoute("C", "B", 1);
+        graph.findMatricesFloydWarshall();
+        graph.isReachable = () => {
+          throw new Error("isReachable shouldn't be used");
+        };
+        const unreachable = { cost: Infinity, path: [], unreachable: true };
+        for (const mode of ["full", "earlyExit", "bidirectional"]) {
+          expect(graph.findPathDijkstra("A", "C", { mode })).to.eql(
+            unreachable
+          );
+        }
+        expect(graph.findPathFloydWarshall("A", "C")).to.eql(unreachable);
+        graph.findPathFloydWarshall("A", "B").cost.should.equal(1);
+      });
+      it("should treat avoided nodes and routes as absent", function () {
+        graph.avoidRoute("C", "A");
+        expect(graph.getStronglyConnectedComponents()).to.eql([
+          ["D"],
+          ["C"],
+          ["B"],
+          ["A"],
+          ["E"],
+          ["F"],
+        ]);
+        graph.avoidNode("C");
+        graph.isReachable("A", "D").should.equal(false);
+        expect(graph.findPathDijkstra("A", "D")).to.eql({
+          cost: Infinity,
+          path: [],
+          unreachable: true,
+        });
+        expect(graph.getWeaklyConnectedComponents()).to.eql([
+          ["A", "B"],
+          ["D", "E"],
+          ["F"],
+        ]);
+      });
+    });
+    describe("Directed acyclic graphs", function () {
+      //Tasks with their duration as node cost, routes are dependencies.
+      const graph = new Graph({ autoCreateNodes: true });
+      graph
+        .addNode({ name: "Design", cost: 3 })
+        .addNode({ name: "Backend", cost: 5 })
+        .addNode({ name: "Frontend", cost: 4 })
+        .addNode({ name: "Tests", cost: 2 })
+        .addNode({ name: "Release", cost: 1 })
+        .addRoute("Design", "Frontend", 1)
+        .addRoute("Design", "Backend", 1)
+        .addRoute("Backend", "Tests", 1)
+        .addRoute("Frontend", "Tests", 1)
+        .addRoute("Tests", "Release", 1);
+      it("should sort the nodes topologically", function () {
+        graph.hasCycle().should.equal(false);
+        expect(graph.findCycles()).to.eql([]);
+        expect(graph.topologicalSort()).to.eql([
+          "Design",
+          "Frontend",
+          "Backend",
+          "Tests",
+          "Release",
+        ]);
+      });
+      it("should find the cheapest & the longest (critical) path", function () {
+        expect(graph.findPathDAG("Design", "Release")).to.eql({
+          cost: 13,
+          path: ["Design", "Frontend", "Tests", "Release"],
+        });
+        expect(
+          graph.findPathDAG("Design", "Release", { longest: true })
+        ).to.eql({
+          cost: 14,
+          path: ["Design", "Backend", "Tests", "Release"],
+        });
+        graph.findPathDAG("Release", "Design").unreachable.should.equal(true);
+      });
+      it("should find the cycles", function () {
+        graph.addRoute("Tests", "Backend", 1).addRoute("Release", "Design", 1);
+        graph.hasCycle().should.equal(true);
+        expect(graph.findCycles()).to.eql([
+          ["Design", "Frontend", "Tests", "Release", "Design"],
+          ["Design", "Backend", "Tests", "Release", "Design"],
+          ["Backend", "Tests", "Backend"],
+        ]);
+        graph.findCycles({ limit: 1 }).should.have.lengthOf(1);
+        graph.avoidRoute("Release", "Design");
+        expect(graph.findCycles()).to.eql([["Backend", "Tests", "Backend"]]);
+      });
+    });
+    describe("Maximum flow", function () {
+      const graph = new Graph({ autoCreateNodes: true });
+      graph
+        .addRoute("S", "A", 1)
+        .addRoute("S", "B", 1)
+        .addRoute("A", "B", 1)
+        .addRoute("A", "T", 1)
+        .addRoute("B", "T", 1)
+        .setRouteCapacity("S", "A", 10)
+        .setRouteCapacity("S", "B", 5)
+        .setRouteCapacity("A", "B", 15)
+        .setRouteCapacity("A", "T", 5)
+        .setRouteCapacity("B", "T", 10);
+      describe("findMaxFlow()", function () {
+        it("should find the maximum flow and the minimum cut", function () {
+          expect(graph.findMaxFlow("S", "T")).to.eql({
+            flow: 15,
+            flows: { S: { A: 10, B: 5 }, A: { B: 5, T: 5 }, B: { T: 10 } },
+            minCut: [
+              { from: "S", to: "A", capacity: 10 },
+              { from: "S", to: "B", capacity: 5 },
+            ],
+          });
+        });
+        it("should use zero capacity for avoided routes", function () {
+          graph.avoidRoute("A", "T");
+          const maxFlow = graph.findMaxFlow("S", "T");
+          maxFlow.flow.should.equal(10);
+          expect(maxFlow.minCut).to.eql([{ from: "B", to: "T", capacity: 10 }]);
+        });
+        it("should use unlimited capacity for routes without capacity", function () {
+          graph.addRoute("A", "T", 1, false, true);
+          graph.findMaxFlow("S", "T").flow.should.equal(15);
+          graph
+            .setRouteCapacity("S", "A", null)
+            .setRouteCapacity("A", "T", null);
+          graph.findMaxFlow("S", "T").flow.should.equal(Infinity);
+          graph.deleteRoute("A", "B");
+          expect(graph.capacitiesRoutes).to.eql({ S: { B: 5 }, B: { T: 10 } });
+        });
+      });
+      describe("findMinCostFlow()", function () {
+        const graph = new Graph({ autoCreateNodes: true });
+        graph
+          .addRoute("Depot1", "A", 4)
+          .addRoute("Depot1", "B", 1)
+          .addRoute("Depot2", "B", 2)
+          .addRoute("B", "A", 1)
+          .setRouteCapacity("Depot1", "B", 3)
+          .setRouteCapacity("B", "A", 2)
+          .editNode("B", null, 1);
+        it("should find the cheapest flow, including toll costs per unit", function () {
+          expect(
+            graph.findMinCostFlow({ Depot1: 5, Depot2: 5 }, { A: 4, B: 3 })
+          ).to.eql({
+            feasible: true,
+            flow: 7,
+            cost: 22,
+            flows: {
+              Depot1: { A: 2, B: 3 },
+              B: { A: 2 },
+              Depot2: { B: 2 },
+            },
+          });
+        });
+        it("should report the unmet demands", function () {
+          expect(graph.findMinCostFlow({ Depot2: 2 }, { A: 4 })).to.eql({
+            feasible: false,
+            flow: 2,
+            cost: 8,
+            flows: { B: { A: 2 }, Depot2: { B: 2 } },
+            unmetDemands: { A: 2 },
+          });
+        });
+      });
     });
   });
   describe("Algorithm solution checking", function () {
@@ -442,6 +1740,27 @@ describe("Algorithms", function () {
             should.Throw(() => graph.deleteNode(""), Error);
           });
         });
+        describe("Invalid coordinates", function () {
+          it("should throw an error due to invalid coordinates", function () {
+            const graph = new Graph({ ignoreErrors: false });
+            should.Throw(() => graph.addNode({ name: "A", x: 1 }), Error);
+            should.Throw(
+              () => graph.addNode({ name: "A", x: "1", y: 2 }),
+              Error
+            );
+            should.Throw(
+              () => graph.addNode({ name: "A", lat: 91, lon: 0 }),
+              Error
+            );
+            graph.addNode({ name: "A", x: 1, y: 2, lat: 4.7, lon: -74 });
+            expect(graph.coordinatesNodes.A).to.eql({
+              x: 1,
+              y: 2,
+              lat: 4.7,
+              lon: -74,
+            });
+          });
+        });
         describe("Nonexistent nodes", function () {
           it("should throw an error due to nonexistent nodes", function () {
             const graph = new Graph({ ignoreErrors: false });
@@ -472,6 +1791,52 @@ describe("Algorithms", function () {
             should.Throw(() => graph.editRoute("A", "B"), Error);
           });
         });
+        describe("Negative weights", function () {
+          it("should throw an error unless negative weights are allowed", function () {
+            const graph = new Graph({ ignoreErrors: false });
+            graph.addNode("A", "B");
+            should.Throw(() => graph.addRoute("A", "B", -1), Error);
+            graph.allowNegativeWeights = true;
+            should.Throw(() => graph.addRoute("A", "B", 0), Error);
+            graph.addRoute("A", "B", -1);
+            should.Throw(() => graph.findPathDijkstra("A", "B"), Error);
+            graph.addRoute("B", "A", 0.5);
+            should.Throw(() => graph.findPathBellmanFord("A", "B"), Error);
+          });
+        });
+        describe("Invalid travel time profiles", function () {
+          it("should throw an error due to invalid or non-FIFO profiles", function () {
+            const graph = new Graph({ ignoreErrors: false });
+            graph.addNode("A", "B");
+            should.Throw(
+              () => graph.addRoute("A", "B", new TimeProfile({})),
+              Error
+            );
+            should.Throw(
+              () =>
+                graph.addRoute(
+                  "A",
+                  "B",
+                  new TimeProfile({ "08:00": 60, "08:10": 5 })
+                ),
+              Error
+            );
+            should.Throw(() => graph.addRoute("A", "B", () => -1), Error);
+            graph.addRoute("A", "B", new TimeProfile({ "08:00": 60 }));
+            should.Throw(
+              () =>
+                graph.findPathDijkstra("A", "B", {
+                  departAt: "8:00",
+                  mode: "bidirectional",
+                }),
+              Error
+            );
+            should.Throw(
+              () => graph.findPathDijkstra("A", "B", { departAt: "25h" }),
+              Error
+            );
+          });
+        });
         describe("Nonexistent nodes/routes", function () {
           it("should throw an error due to nonexistent nodes/routes", function () {
             const graph = new Graph({ ignoreErrors: false });
@@ -501,6 +1866,50 @@ describe("Algorithms", function () {
         });
       });
       
+      describe("Invalid metric factors", function () {
+        it("should throw an error due to negative or only zero factors", function () {
+          const graph = new Graph({
+            ignoreErrors: false,
+            autoCreateNodes: true,
+          });
+          graph
+            .addRoute("A", "B", { weight: 1, km: 5 })
+            .addRoute("B", "C", { weight: 1, km: 5 })
+            .addRoute("A", "C", { weight: 10, km: 1 });
+          should.Throw(
+            () =>
+              graph.findPathDijkstra("A", "C", {
+                metric: { weight: 1, km: -1 },
+              }),
+            GraphError.InvalidArgumentError
+          );
+          should.Throw(
+            () => graph.findPathDijkstra("A", "C", { metric: { km: 0 } }),
+            GraphError.InvalidArgumentError
+          );
+          should.Throw(
+            () => graph.findPathDijkstra("A", "C", { metric: {} }),
+            GraphError.InvalidArgumentError
+          );
+          graph
+            .findPathDijkstra("A", "C", { metric: { weight: 0, km: 1 } })
+            .cost.should.equal(1);
+        });
+      });
+      describe("Unknown search mode", function () {
+        it("should throw an error due to an unknown mode", function () {
+          const graph = new Graph({
+            ignoreErrors: false,
+            autoCreateNodes: true,
+          });
+          graph.addRoute("A", "B", 100);
+          should.Throw(
+            () => graph.findPathDijkstra("A", "B", { mode: "fastest" }),
+            Error
+          );
+        });
+      });
+
        describe("Nonexistent nodes as parameters", function () {
          it("should throw an error due to nonexistent nodes", function () {
            const graph = new Graph({
@@ -548,6 +1957,45 @@ describe("Algorithms", function () {
           should.Throw(() => graph.findPathFloydWarshall("A", "C"));
         });
       });
+      describe("Negative cycles", function () {
+        it("should throw an error and discard the matrices", function () {
+          const graph = new Graph({
+            ignoreErrors: false,
+            allowNegativeWeights: true,
+            autoCreateNodes: true,
+          });
+          graph.addRoute("A", "B", 1).addRoute("B", "C", -3);
+          graph.findMatricesFloydWarshall();
+          graph.addRoute("C", "A", 1);
+          expect(() => graph.findMatricesFloydWarshall())
+            .to.throw(GraphError.NegativeCycleError)
+            .with.property("nodes")
+            .that.eql(["A", "B", "C"]);
+          should.equal(graph.distanceMatrix, null);
+          should.Throw(
+            () => graph.findPathFloydWarshall("A", "C"),
+            GraphError.MatricesNotComputedError
+          );
+        });
+      });
+      describe("Find a path with outdated matrices", function () {
+        it("should throw an error due to outdated matrices if they are rejected", function () {
+          const graph = new Graph({
+            ignoreErrors: false,
+            autoCreateNodes: true,
+            staleMatrices: Constants.StaleMatricesPolicies.REJECT,
+          });
+          graph.addRoute("A", "B", 1).addRoute("B", "C", 1);
+          graph.findMatricesFloydWarshall();
+          graph.constantNodesCost = 1;
+          should.Throw(() => graph.findPathFloydWarshall("A", "C"), Error);
+          should.Throw(() => graph.findTour("A", ["B", "C"]), Error);
+          graph.findMatricesFloydWarshall();
+          graph
+            .findPathFloydWarshall("A", "C")
+            .path.should.eql(["A", "B", "C"]);
+        });
+      });
       describe("Nonexistent nodes as parameters", function () {
         it("should throw an error due to nonexistent nodes as parameters", function () {
           const graph = new Graph({
@@ -564,7 +2012,309 @@ describe("Algorithms", function () {
         });
       });
     });
+    describe("Waypoints", function () {
+      it("should throw an error due to invalid waypoints or missing matrices", function () {
+        const graph = new Graph({ ignoreErrors: false, autoCreateNodes: true });
+        graph.addRoute("A", "B", 1).addRoute("B", "C", 1);
+        should.Throw(() => graph.findPathVia("A", "B", "C"), Error);
+        should.Throw(() => graph.findPathVia("A", ["D"], "C"), Error);
+        should.Throw(
+          () => graph.findPathVia("A", ["B"], "C", { useFloydWarshall: true }),
+          Error
+        );
+        should.Throw(() => graph.findTour("A", ["B", "C"]), Error);
+        graph.findMatricesFloydWarshall();
+        should.Throw(() => graph.findTour("A", ["D"]), Error);
+      });
+    });
+    describe("Minimum spanning tree", function () {
+      it("should throw an error due to an unknown algorithm or a directed route", function () {
+        const graph = new Graph({ ignoreErrors: false, autoCreateNodes: true });
+        graph.addRoute("A", "B", 1, true);
+        should.Throw(
+          () => graph.findMinimumSpanningTree({ algorithm: "boruvka" }),
+          Error
+        );
+        graph.addRoute("B", "C", 1);
+        should.Throw(() => graph.findMinimumSpanningTree(), Error);
+      });
+    });
+    describe("Connectivity", function () {
+      it("should throw an error due to nonexistent nodes", function () {
+        const graph = new Graph({ ignoreErrors: false, autoCreateNodes: true });
+        graph.addRoute("A", "B", 1);
+        should.Throw(() => graph.reachableFrom("C"), Error);
+        should.Throw(() => graph.isReachable("A", "C"), Error);
+        should.Throw(() => graph.isReachable("C", "A"), Error);
+      });
+    });
+    describe("Directed acyclic graphs", function () {
+      it("should throw an error due to cycles", function () {
+        const graph = new Graph({ ignoreErrors: false, autoCreateNodes: true });
+        graph.addRoute("A", "B", 1).addRoute("B", "A", 1);
+        should.Throw(() => graph.topologicalSort(), Error);
+        should.Throw(() => graph.findPathDAG("A", "B"), Error);
+        should.Throw(() => graph.findCycles({ limit: 0 }), Error);
+      });
+    });
+    describe("Maximum flow", function () {
+      it("should throw an error due to invalid capacities or nodes", function () {
+        const graph = new Graph({ ignoreErrors: false, autoCreateNodes: true });
+        graph.addRoute("A", "B", 1);
+        should.Throw(() => graph.setRouteCapacity("A", "B", -1), Error);
+        should.Throw(() => graph.setRouteCapacity("B", "A", 1), Error);
+        should.Throw(() => graph.findMaxFlow("A", "A"), Error);
+        should.Throw(() => graph.findMaxFlow("A", "C"), Error);
+        should.Throw(() => graph.findMinCostFlow({ A: 1 }, { C: 1 }), Error);
+        should.Throw(() => graph.findMinCostFlow({ A: -1 }, { B: 1 }), Error);
+        should.Throw(() => graph.findMinCostFlow({ A: 1 }), Error);
+      });
+    });
+  });
+  describe("Serialization", function () {
+    it("should throw an error due to an invalid serialized graph", function () {
+      const valid = new Graph({ autoCreateNodes: true })
+        .addRoute("A", "B", 1)
+        .toJSON();
+      should.Throw(() => Graph.fromJSON("{", { ignoreErrors: false }), Error);
+      [
+        { schema: "other" },
+        { version: 2 },
+        { nodes: [{ cost: 1 }] },
+        { routes: [{ from: "A", to: "B", weight: "heavy" }] },
+      ].forEach((change) => {
+        const json = Object.assign({}, valid, change);
+        should.Throw(
+          () => Graph.fromJSON(json, { ignoreErrors: false }),
+          Error
+        );
+        expect(Graph.fromJSON(json)).to.equal(null);
+      });
+    });
+    it("should throw an error due to an invalid or unsupported DOT text", function () {
+      [
+        "digraph { A -> B }",
+        "digraph { A -> B [label=heavy] }",
+        "graph { A -> B [label=1] }",
+        "digraph { subgraph S { A -> B [label=1] } }",
+        "digraph { A -> B [label=1]",
+        "digraph { A -> B [label=-1] }",
+      ].forEach((text) => {
+        should.Throw(() => Graph.fromDOT(text, { ignoreErrors: false }), Error);
+        expect(Graph.fromDOT(text)).to.equal(null);
+      });
+    });
+    it("should throw an error with the lines of the invalid CSV rows", function () {
+      const csv = {
+        nodes: "name,cost,protectNodeCost\nA,1,maybe\nA,-1,\nB,,",
+        routes: "start,end,weight,bidirectional\nA,B,1,yes\nB,A,2,\nA,C,x,",
+      };
+      expect(Graph.fromCSV(csv)).to.equal(null);
+      should.Throw(
+        () => Graph.fromCSV(csv, { ignoreErrors: false }),
+        /Line 2 of nodes(.|\n)*Line 3 of nodes(.|\n)*Line 3 of routes(.|\n)*Line 4 of routes/
+      );
+      should.Throw(
+        () =>
+          Graph.fromCSV({ routes: "start,end\nA,B" }, { ignoreErrors: false }),
+        Error
+      );
+      should.Throw(
+        () => new Graph({ ignoreErrors: false }).distanceMatrixToCSV(),
+        Error
+      );
+    });
+    it("should throw an error due to an invalid GraphML document", function () {
+      [
+        "<graphml><graph>",
+        "<graph><node id='A'/></graph>",
+        "<graphml><graph><node id='A'/><edge source='A' target='B'/></graph></graphml>",
+      ].forEach((xml) => {
+        should.Throw(
+          () => Graph.fromGraphML(xml, { ignoreErrors: false }),
+          Error
+        );
+        expect(Graph.fromGraphML(xml)).to.equal(null);
+      });
+    });
+    it("should throw an error due to an invalid matrix", function () {
+      [
+        [[[0, 1], [1]], {}],
+        [
+          [
+            [0, 1],
+            [1, 0],
+          ],
+          { nodeNames: ["A", "A"] },
+        ],
+        [{ A: { B: 0 } }, { treatZeroAs: Constants.MatrixZeroValues.ERROR }],
+        [{ A: { B: -1 } }, {}],
+        [{ A: { B: 1 } }, { treatZeroAs: 0 }],
+        [{ A: { B: 1 } }, { nodeCosts: { C: 1 } }],
+      ].forEach(([matrix, options]) => {
+        should.Throw(
+          () =>
+            Graph.fromMatrix(
+              matrix,
+              Object.assign({ ignoreErrors: false }, options)
+            ),
+          Error
+        );
+        expect(Graph.fromMatrix(matrix, options)).to.equal(null);
+      });
+    });
+  });
+  describe("Error classes", function () {
+    it("should throw errors with a code and the nodes involved", function () {
+      const graph = new Graph({ ignoreErrors: false });
+      graph.addNode("A");
+      expect(() => graph.addRoute("A", "B", 1))
+        .to.throw(GraphError.NodeNotFoundError)
+        .that.includes({ code: "NODE_NOT_FOUND" })
+        .and.has.property("nodes")
+        .that.eql(["B"]);
+      expect(() => graph.addNode("A"))
+        .to.throw(GraphError)
+        .with.property("code", Constants.ErrorCodes.NODE_EXISTS);
+      expect(() => graph.findPathFloydWarshall("A", "A")).to.throw(
+        GraphError.MatricesNotComputedError
+      );
+      expect(() => graph.findPathDijkstra("A", "C"))
+        .to.throw(Error)
+        .with.property("nodes")
+        .that.eql(["C"]);
+    });
+    it("should list every error found at once", function () {
+      const graph = new Graph({ ignoreErrors: false, autoCreateNodes: true });
+      let error = null;
+      try {
+        graph.addRoute(null, "B", { weight: -1, km: 0 });
+      } catch (thrownError) {
+        error = thrownError;
+      }
+      error.should.be.an.instanceOf(GraphError.ValidationError);
+      error.code.should.equal("VALIDATION_FAILED");
+      error.message.should.match(/^Error \[1\]: .*\nError \[2\]: .*\n/);
+      expect(error.details.errors.map((error) => error.code)).to.eql([
+        "INVALID_ARGUMENT",
+        "INVALID_WEIGHT",
+        "INVALID_WEIGHT",
+      ]);
+      expect(error.details.errors[2].details).to.eql({
+        metric: "km",
+        weight: 0,
+      });
+      try {
+        Graph.fromCSV(
+          { routes: "start,end,weight\nA,B,x\nA,C,1\nA,C,2" },
+          { ignoreErrors: false }
+        );
+      } catch (thrownError) {
+        error = thrownError;
+      }
+      error.should.be.an.instanceOf(GraphError.ImportError);
+      error.details.format.should.equal("CSV");
+      expect(error.details.errors.map((error) => error.code)).to.eql([
+        "INVALID_WEIGHT",
+        "ROUTE_EXISTS",
+      ]);
+      expect(error.nodes).to.eql(["A", "B", "C"]);
+    });
   });
 
   });
   });
+describe("Data structures", function () {
+  describe("PriorityQueue", function () {
+    it("should dequeue by priority and then by insertion order", function () {
+      const queue = new PriorityQueue();
+      queue.push("C", 3).push("A", 1).push("B", 1).push("D", Infinity);
+      queue.size.should.equal(4);
+      queue.peek().should.eql({ value: "A", priority: 1 });
+      const order = [];
+      while (!queue.isEmpty()) order.push(queue.pop().value);
+      expect(order).to.eql(["A", "B", "C", "D"]);
+      should.equal(queue.pop(), null);
+    });
+  });
+  describe("TimeProfile", function () {
+    it("should interpolate the weights, wrapping around the period", function () {
+      const profile = new TimeProfile({ "06:00": 20, 1080: 40 });
+      should.equal(profile.validate(), null);
+      profile.min.should.equal(20);
+      profile.at(720).should.equal(30);
+      profile.at(0).should.equal(30);
+      profile.at(1440 + 360).should.equal(20);
+      expect(profile.scale(2).points).to.eql([
+        [360, 40],
+        [1080, 80],
+      ]);
+    });
+  });
+});
+describe("Logging", function () {
+  describe("Loggers", function () {
+    it("should send structured records to the logger up to the logging level", function () {
+      const logger = Loggers.memory();
+      const graph = new Graph({
+        name: "Logged",
+        loggingLevel: Constants.LoggingLevels.STEPS,
+        autoCreateNodes: true,
+        logger,
+      });
+      graph.addRoute("A", "B", 1).addRoute("B", "C", 2);
+      logger.records.should.have.lengthOf(0);
+      graph.findPathDijkstra("A", "C");
+      logger.records[0].should.include({
+        level: Constants.LoggingLevels.STEPS,
+        graph: "Logged",
+        event: Constants.LogEvents.MESSAGE,
+        message: "Starting Dijkstra Algorithm",
+        payload: null,
+      });
+      logger.records[0].timestamp.should.be.an.instanceOf(Date);
+      const table = logger.records.find(
+        (record) => record.event === Constants.LogEvents.TABLE
+      );
+      should.equal(table.message, null);
+      table.payload[0].should.be.an.instanceOf(TableLog);
+      logger.clear();
+      graph.findPathDijkstra("A", "D");
+      logger.records[logger.records.length - 1].should.include({
+        level: Constants.LoggingLevels.MIN,
+        event: Constants.LogEvents.ERROR,
+      });
+      logger.records[logger.records.length - 1].payload.code.should.equal(
+        "NODE_NOT_FOUND"
+      );
+    });
+    it("should write the records as JSON lines", function () {
+      const lines = [];
+      const graph = new Graph({
+        name: "JSON",
+        loggingLevel: Constants.LoggingLevels.STEPS,
+        autoCreateNodes: true,
+        logger: Loggers.jsonLines((line) => lines.push(line)),
+      });
+      graph.addRoute("A", "B", 1).findMatricesFloydWarshall();
+      graph.findPathDijkstra("A", "C");
+      lines.forEach((line) => line.should.match(/^\{.*\}\n$/));
+      const records = lines.map((line) => JSON.parse(line));
+      records[0].should.include({
+        graph: "JSON",
+        event: "table",
+        label: "Iteration 0",
+      });
+      expect(records[0].payload).to.eql({
+        A: { A: 0, B: 1 },
+        B: { A: "Infinity", B: 0 },
+      });
+      records[records.length - 1].payload.should.include({
+        name: "NodeNotFoundError",
+        code: "NODE_NOT_FOUND",
+        message:
+          "The starting/ending nodes specified doesn't exist in the graph yet.",
+      });
+    });
+  });
+});